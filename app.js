@@ -0,0 +1,193 @@
+// app.js - Express application factory
+//
+// createApp() wires routers to the collaborators it is given, so the app can
+// be mounted in-process against a throwaway database or a fake mailer.
+// server.js is the entrypoint that initializes the database and listens.
+import express from "express";
+import path from "path";
+import bodyParser from "body-parser";
+import { fileURLToPath } from "url";
+import config from "./config/env.js";
+import { db as defaultDb } from "./server/db.js";
+import { mailer as defaultMailer } from "./config/mailer.js";
+import { cloudinaryStorage } from "./config/cloudinary.js";
+import { createGithubClient } from "./server/github.js";
+import { systemClock } from "./server/clock.js";
+import { createMetrics } from "./server/metrics.js";
+import { createResponseCache } from "./server/responseCache.js";
+import { createRateLimitStore } from "./server/rateLimit.js";
+import { createCorsPolicy } from "./server/cors.js";
+import errorHandler from "./middleware/errorHandler.js";
+import requestLogger from "./middleware/requestLogger.js";
+import httpMetrics from "./middleware/httpMetrics.js";
+import corsPolicy from "./middleware/cors.js";
+import { AppError, NotFoundError } from "./server/errors.js";
+import { createLifecycle } from "./server/health.js";
+import { createBackgroundQueue } from "./server/background.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Import routes
+import authRouter from "./routes/auth.js";
+import apiKeysRoutes from "./routes/apiKeys.js";
+import usersRoutes from "./routes/users.js";
+import projectRoutes from "./routes/projects.js";
+import skillsRoutes from "./routes/skills.js";
+import contactRoutes from "./routes/contact.js";
+import statsRoutes from "./routes/stats.js";
+import analyticsRoutes from "./routes/analytics.js";
+import blogRoutes from "./routes/blog.js";
+import chatbotRoutes from "./routes/chatbot.js";
+import journeyRoutes from "./routes/journey.js";
+import auditRoutes from "./routes/audit.js";
+import trashRoutes from "./routes/trash.js";
+import adminRoutes from "./routes/admin.js";
+import corsOriginRoutes from "./routes/corsOrigins.js";
+import metricsRoutes from "./routes/metrics.js";
+import healthRoutes from "./routes/health.js";
+
+/**
+ * Build the Express app. Every collaborator defaults to the real one from config.
+ * @param {Object} deps - { db, mailer, storage, githubClient, clock, lifecycle, background }
+ * @param {Object} deps.db - Database handle from createDatabase (query, withTransaction, end, pool)
+ * @param {Object} deps.mailer - { sendMail(type, message), verify() }
+ * @param {Object} deps.storage - Image storage: { upload(filePath, folder), remove(publicId), ping() }
+ * @param {Object} deps.githubClient - From createGithubClient
+ * @param {Object} deps.clock - { now() }
+ * @param {Object} deps.lifecycle - From createLifecycle. server.js passes one that stays
+ *   'starting' until boot finishes; without one the app is ready right away.
+ * @param {Object} deps.background - From createBackgroundQueue; runs work that
+ *   outlives a request. Pass the one shutdown drains.
+ * @returns {Object} - Express app, not yet listening
+ */
+export const createApp = ({
+  db = defaultDb,
+  mailer = defaultMailer,
+  storage = cloudinaryStorage,
+  githubClient = createGithubClient({ username: config.githubUsername, token: config.githubToken }),
+  clock = systemClock,
+  lifecycle = createLifecycle("ready"),
+  background = createBackgroundQueue()
+} = {}) => {
+  const app = express();
+  // req.ip is the address the last trusted proxy saw, not whatever X-Forwarded-For claims
+  app.set("trust proxy", config.trustProxyHops);
+
+  // /api/metrics reports this app's traffic and database pool
+  const metrics = createMetrics({ pool: db.pool });
+
+  // Public GETs of projects, skills, journey and blog; each app gets its own
+  const cache = createResponseCache({ clock, metrics });
+  const rateLimitStore = createRateLimitStore(db, { metrics, background, clock });
+
+  // Origins from CORS_ALLOWED_ORIGINS, FRONTEND_URL and the cors_origins table
+  const originPolicy = createCorsPolicy({ db });
+
+  // Request ID and access log first, so every response carries X-Request-Id
+  app.use(requestLogger);
+  app.use(httpMetrics(metrics));
+
+  // Then CORS, so rejected origins are turned away before any work is done
+  app.use(corsPolicy(originPolicy, metrics));
+
+  // ========================================
+  // Middleware
+  // ========================================
+  app.use(bodyParser.json({ limit: '10mb' }));
+  app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+  // ========================================
+  // Health Check Routes (before other routes)
+  // ========================================
+  app.get("/", (req, res) => {
+    res.json({ 
+      message: "Portfolio Backend API",
+      status: "Running",
+      version: "1.0.0",
+      timestamp: clock.now().toISOString()
+    });
+  });
+
+  // /api/health, /api/health/live and /api/health/ready
+  app.use("/api/health", healthRoutes({ db, mailer, storage, githubClient, clock, lifecycle }));
+
+  // The server listens while it is still starting; until then only the health probes answer.
+  // While draining, requests still get served but their connections are not kept alive.
+  app.use("/api", (req, res, next) => {
+    const state = lifecycle.get();
+    if (state === 'draining') res.set('Connection', 'close');
+    if (state !== 'starting') return next();
+    next(new AppError('Server is starting, try again shortly', {
+      status: 503,
+      code: 'SERVICE_UNAVAILABLE',
+      headers: { 'Retry-After': '5' }
+    }));
+  });
+
+  // ========================================
+  // Mount API Routes
+  // ========================================
+  app.use("/api/auth/api-keys", apiKeysRoutes({ db, clock }));
+  app.use("/api/auth/users", usersRoutes({ db, mailer }));
+  app.use("/api/auth", authRouter({ db, mailer, background }));
+  app.use("/api/projects", projectRoutes({ db, storage, clock, cache }));
+  app.use("/api/skills", skillsRoutes({ db, clock, cache }));
+  app.use("/api/contact", contactRoutes({ db, mailer, rateLimitStore }));
+  app.use("/api/analytics", analyticsRoutes({ db, clock, rateLimitStore }));
+  app.use("/api/stats", statsRoutes({ db, githubClient, clock }));
+  app.use("/api/blog", blogRoutes({ db, clock, cache, rateLimitStore }));
+  app.use("/api/chatbot", chatbotRoutes({ db, clock, rateLimitStore }));
+  app.use("/api/journey", journeyRoutes({ db, cache }));
+  app.use("/api/audit", auditRoutes({ db }));
+  app.use("/api/trash", trashRoutes({ db, storage, cache }));
+  app.use("/api/admin/cors-origins", corsOriginRoutes({ db, originPolicy }));
+  app.use("/api/admin", adminRoutes({ db, clock, cache }));
+  app.use("/api/metrics", metricsRoutes({ db, metrics }));
+
+  // ========================================
+  // Static Files - CROSS-ORIGIN ENABLED
+  // ========================================
+  app.use(
+    "/Uploads",
+    express.static(path.join(__dirname, "Uploads"), {
+      fallthrough: true,
+      setHeaders: (res, filePath) => {
+        // Allow cross-origin access to uploaded files
+        res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.setHeader("Cache-Control", "public, max-age=31536000");
+
+        // Set correct content type
+        if (filePath.endsWith('.jpg') || filePath.endsWith('.jpeg')) {
+          res.setHeader("Content-Type", "image/jpeg");
+        } else if (filePath.endsWith('.png')) {
+          res.setHeader("Content-Type", "image/png");
+        } else if (filePath.endsWith('.gif')) {
+          res.setHeader("Content-Type", "image/gif");
+        } else if (filePath.endsWith('.webp')) {
+          res.setHeader("Content-Type", "image/webp");
+        }
+      },
+    })
+  );
+
+  // Fallback for missing uploads
+  app.use("/Uploads/*", (req, res, next) => {
+    next(new NotFoundError("File not found"));
+  });
+
+  // ========================================
+  // Error Handlers
+  // ========================================
+  app.use("/api/*", (req, res, next) => {
+    next(new NotFoundError(`API endpoint not found: ${req.method} ${req.originalUrl.split("?")[0]}`));
+  });
+
+  // Global error handler
+  app.use(errorHandler);
+
+  return app;
+};
+
+export default createApp;
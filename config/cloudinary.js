@@ -1,12 +1,12 @@
 import { v2 as cloudinary } from 'cloudinary';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import logger from '../server/logger.js';
+import { cloudinaryUploadsTotal } from '../server/metrics.js';
+import config from './env.js';
 
 cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+  cloud_name: config.cloudinaryCloudName,
+  api_key: config.cloudinaryApiKey,
+  api_secret: config.cloudinaryApiSecret,
   secure: true
 });
 
@@ -28,13 +28,15 @@ export const uploadToCloudinary = async (filePath, folder = 'portfolio/projects'
       ]
     });
 
-    console.log('✅ Image uploaded to Cloudinary:', result.secure_url);
+    cloudinaryUploadsTotal.inc({ result: 'success' });
+    logger.info('Image uploaded to Cloudinary', { publicId: result.public_id });
     return {
       url: result.secure_url,
       publicId: result.public_id
     };
   } catch (error) {
-    console.error('❌ Cloudinary upload error:', error);
+    cloudinaryUploadsTotal.inc({ result: 'failure' });
+    logger.error('Cloudinary upload error', { reason: error.message });
     throw new Error(`Failed to upload image: ${error.message}`);
   }
 };
@@ -47,14 +49,35 @@ export const uploadToCloudinary = async (filePath, folder = 'portfolio/projects'
 export const deleteFromCloudinary = async (publicId) => {
   try {
     const result = await cloudinary.uploader.destroy(publicId);
-    console.log('✅ Image deleted from Cloudinary:', publicId);
+    logger.info('Image deleted from Cloudinary', { publicId });
     return result;
   } catch (error) {
-    console.error('❌ Cloudinary deletion error:', error);
+    logger.error('Cloudinary deletion error', { publicId, reason: error.message });
     throw new Error(`Failed to delete image: ${error.message}`);
   }
 };
 
+/**
+ * Check that Cloudinary is reachable and accepts the configured credentials
+ * @returns {Promise<Object>} - Ping result
+ */
+export const pingCloudinary = async () => {
+  const missing = [
+    ['CLOUDINARY_CLOUD_NAME', config.cloudinaryCloudName],
+    ['CLOUDINARY_API_KEY', config.cloudinaryApiKey],
+    ['CLOUDINARY_API_SECRET', config.cloudinaryApiSecret]
+  ].filter(([, value]) => !value);
+  if (missing.length > 0) throw new Error(`Missing ${missing.map(([name]) => name).join(', ')}`);
+  return cloudinary.api.ping();
+};
+
+// The storage collaborator handed to createApp
+export const cloudinaryStorage = {
+  upload: uploadToCloudinary,
+  remove: deleteFromCloudinary,
+  ping: pingCloudinary
+};
+
 /**
  * Extract Cloudinary public ID from URL
  * @param {string} url - Cloudinary URL
@@ -79,7 +102,7 @@ export const extractPublicId = (url) => {
     const publicId = publicIdWithExt.replace(/\.[^/.]+$/, '');
     return publicId;
   } catch (error) {
-    console.error('Error extracting public ID:', error);
+    logger.warn('Error extracting Cloudinary public ID', { reason: error.message });
     return null;
   }
 };
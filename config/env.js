@@ -0,0 +1,256 @@
+// config/env.js - Typed settings, loaded and validated once at startup
+//
+// Values come from the process environment first, then from these files in
+// the project root (earlier files win):
+//   .env.<NODE_ENV>.local, .env.<NODE_ENV>, .env.local, .env
+// Modules read settings from the exported config object, never from process.env.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import logger from '../server/logger.js';
+import { compileOriginPattern } from '../server/originPattern.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const NODE_ENVS = ['development', 'production', 'test'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RATE_PATTERN = /^(\d+)\/(\d*)(s|m|h|d)$/;
+const RATE_UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Every setting: env variable, type, default and constraints.
+ * required fails startup when the value is missing; recommendedIn only warns.
+ * secret values never appear in logs or in the startup summary.
+ */
+const SCHEMA = {
+  nodeEnv: { env: 'NODE_ENV', type: 'enum', values: NODE_ENVS, default: 'development' },
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'], default: 'info' },
+  migrateOnBoot: { env: 'MIGRATE_ON_BOOT', type: 'boolean', default: true },
+
+  // Database: DATABASE_URL (Render) or the DB_* settings
+  render: { env: 'RENDER', type: 'boolean', default: false },
+  databaseUrl: { env: 'DATABASE_URL', type: 'string', secret: true, recommendedIn: ['production'] },
+  dbHost: { env: 'DB_HOST', type: 'string', default: 'localhost' },
+  dbPort: { env: 'DB_PORT', type: 'integer', min: 1, max: 65535, default: 5432 },
+  dbUser: { env: 'DB_USER', type: 'string', default: 'postgres' },
+  dbPassword: { env: 'DB_PASSWORD', type: 'string', secret: true, default: '' },
+  dbName: { env: 'DB_NAME', type: 'string', default: 'portfolio_db' },
+
+  // Auth
+  jwtSecret: { env: 'JWT_SECRET', type: 'string', secret: true, required: true, minLength: 16 },
+  accessTokenTtl: { env: 'ACCESS_TOKEN_TTL', type: 'string', default: '15m' },
+  refreshTokenTtlDays: { env: 'REFRESH_TOKEN_TTL_DAYS', type: 'integer', min: 1, default: 30 },
+  resetTokenTtlMinutes: { env: 'RESET_TOKEN_TTL_MINUTES', type: 'integer', min: 1, default: 60 },
+  totpIssuer: { env: 'TOTP_ISSUER', type: 'string', default: 'Portfolio Admin' },
+  loginBackoffAfter: { env: 'LOGIN_BACKOFF_AFTER', type: 'integer', min: 1, default: 3 },
+  loginLockoutAfter: { env: 'LOGIN_LOCKOUT_AFTER', type: 'integer', min: 1, default: 10 },
+  loginLockoutMinutes: { env: 'LOGIN_LOCKOUT_MINUTES', type: 'integer', min: 1, default: 15 },
+  loginIpMaxFailures: { env: 'LOGIN_IP_MAX_FAILURES', type: 'integer', min: 1, default: 20 },
+  adminEmail: { env: 'ADMIN_EMAIL', type: 'email', recommendedIn: ['production'] },
+  adminInitialPassword: { env: 'ADMIN_INITIAL_PASSWORD', type: 'string', secret: true },
+
+  // Frontend (password reset and invite links; also allowed by CORS)
+  frontendUrl: { env: 'FRONTEND_URL', type: 'url', recommendedIn: ['production'] },
+
+  // CORS: comma-separated origins or patterns (see server/originPattern.js), on top of
+  // FRONTEND_URL and the cors_origins table. report-only logs rejections but allows them.
+  corsAllowedOrigins: {
+    env: 'CORS_ALLOWED_ORIGINS',
+    type: 'origins',
+    default: [
+      'http://localhost:5173',
+      'http://localhost:3000',
+      'http://127.0.0.1:5173',
+      'https://syedazadarhussayn.vercel.app',
+      'https://*.vercel.app'
+    ]
+  },
+  corsMode: { env: 'CORS_MODE', type: 'enum', values: ['enforce', 'report-only'], default: 'enforce' },
+
+  // Outbound services; each one is optional and only degrades readiness when missing
+  emailUser: { env: 'EMAIL_USER', type: 'email' },
+  emailPass: { env: 'EMAIL_PASS', type: 'string', secret: true },
+  cloudinaryCloudName: { env: 'CLOUDINARY_CLOUD_NAME', type: 'string' },
+  cloudinaryApiKey: { env: 'CLOUDINARY_API_KEY', type: 'string', secret: true },
+  cloudinaryApiSecret: { env: 'CLOUDINARY_API_SECRET', type: 'string', secret: true },
+  githubToken: { env: 'GITHUB_TOKEN', type: 'string', secret: true },
+  githubUsername: { env: 'GITHUB_USERNAME', type: 'string', default: 'azadarx' },
+
+  // Operations
+  // Proxies in front of the app (Render has one). X-Forwarded-For entries left
+  // of the ones these proxies appended are client-supplied and never trusted.
+  trustProxyHops: { env: 'TRUST_PROXY_HOPS', type: 'integer', min: 0, default: 1 },
+  healthCheckTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 2000 },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 1, default: 10000 },
+  trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 0, default: 30 },
+  trashPurgeIntervalMinutes: { env: 'TRASH_PURGE_INTERVAL_MINUTES', type: 'integer', min: 1, default: 60 },
+
+  // Public GET caching: in-process entry lifetime, and the Cache-Control sent to browsers
+  responseCacheTtlSeconds: { env: 'RESPONSE_CACHE_TTL_SECONDS', type: 'integer', min: 0, default: 300 },
+  httpCacheMaxAgeSeconds: { env: 'HTTP_CACHE_MAX_AGE_SECONDS', type: 'integer', min: 0, default: 60 },
+  httpCacheStaleSeconds: { env: 'HTTP_CACHE_STALE_SECONDS', type: 'integer', min: 0, default: 600 },
+
+  // Rate limits for public writes, as <requests>/<window>, e.g. 5/1h or 20/m
+  rateLimitEnabled: { env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: true },
+  rateLimitContact: { env: 'RATE_LIMIT_CONTACT', type: 'rate', default: { limit: 5, windowSeconds: 3600 } },
+  rateLimitChatbot: { env: 'RATE_LIMIT_CHATBOT', type: 'rate', default: { limit: 20, windowSeconds: 60 } },
+  rateLimitBlogLike: { env: 'RATE_LIMIT_BLOG_LIKE', type: 'rate', default: { limit: 3, windowSeconds: 86400 } },
+  rateLimitVisitor: { env: 'RATE_LIMIT_VISITOR', type: 'rate', default: { limit: 60, windowSeconds: 60 } }
+};
+
+const PARSERS = {
+  string: (raw) => raw,
+  integer: (raw) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error('must be an integer');
+    return Number(raw);
+  },
+  boolean: (raw) => {
+    if (/^(true|1|yes|on)$/i.test(raw)) return true;
+    if (/^(false|0|no|off)$/i.test(raw)) return false;
+    throw new Error('must be true or false');
+  },
+  email: (raw) => {
+    if (!EMAIL_PATTERN.test(raw)) throw new Error('must be an email address');
+    return raw;
+  },
+  url: (raw) => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http(s) URL');
+    return raw.replace(/\/$/, '');
+  },
+  rate: (raw) => {
+    const match = RATE_PATTERN.exec(raw.replace(/\s/g, ''));
+    if (!match || Number(match[1]) < 1 || match[2] === '0') {
+      throw new Error('must look like <requests>/<window>, e.g. 5/1h or 20/m');
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2] || 1) * RATE_UNIT_SECONDS[match[3]] };
+  },
+  origins: (raw) => raw.split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+    .map(origin => compileOriginPattern(origin).pattern),
+  enum: (raw, spec) => {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) throw new Error(`must be one of: ${spec.values.join(', ')}`);
+    return value;
+  }
+};
+
+const checkConstraints = (value, spec) => {
+  if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+  if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    throw new Error(`must be at least ${spec.minLength} characters`);
+  }
+};
+
+/**
+ * Parse and validate settings from an environment object. Does not read any file.
+ * @param {Object} env - Usually process.env
+ * @returns {Object} - { config, errors, warnings }
+ */
+export const loadConfig = (env) => {
+  const config = {};
+  const errors = [];
+  const warnings = [];
+  const nodeEnv = NODE_ENVS.includes(env.NODE_ENV) ? env.NODE_ENV : 'development';
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = typeof env[spec.env] === 'string' ? env[spec.env].trim() : undefined;
+
+    if (raw === undefined || raw === '') {
+      config[key] = spec.default ?? null;
+      if (spec.required) errors.push(`${spec.env} is required`);
+      else if (spec.recommendedIn?.includes(nodeEnv)) warnings.push(`${spec.env} is not set`);
+      continue;
+    }
+
+    try {
+      const value = PARSERS[spec.type](raw, spec);
+      checkConstraints(value, spec);
+      config[key] = value;
+    } catch (error) {
+      config[key] = spec.default ?? null;
+      errors.push(`${spec.env} ${error.message}`);
+    }
+  }
+
+  config.isProduction = config.nodeEnv === 'production';
+  config.isDevelopment = config.nodeEnv === 'development';
+
+  return { config: Object.freeze(config), errors, warnings };
+};
+
+// Environment variables always win because dotenv never overrides them
+const loadEnvFiles = () => {
+  const nodeEnv = process.env.NODE_ENV || 'development';
+  const files = [`.env.${nodeEnv}.local`, `.env.${nodeEnv}`, '.env.local', '.env'];
+  return files.filter(file => {
+    const filePath = path.join(ROOT_DIR, file);
+    if (!fs.existsSync(filePath)) return false;
+    dotenv.config({ path: filePath });
+    return true;
+  });
+};
+
+const envFiles = loadEnvFiles();
+const { config, errors, warnings } = loadConfig(process.env);
+
+/**
+ * Stop the process when a setting is missing or invalid, listing every problem
+ * at once. Call first thing at startup; scripts that only need part of the
+ * config (e.g. migrations) can skip it.
+ */
+export const assertValidConfig = () => {
+  warnings.forEach(warning => logger.warn(`Configuration: ${warning}`));
+  if (errors.length === 0) return;
+
+  errors.forEach(error => logger.fatal(`Configuration: ${error}`));
+  process.exit(1);
+};
+
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 2)}***@${domain}`;
+};
+
+/**
+ * Settings that are safe to log: secrets only show whether they are set
+ * @returns {Object}
+ */
+export const configSummary = () => {
+  const secrets = Object.entries(SCHEMA).filter(([, spec]) => spec.secret);
+
+  return {
+    environment: config.nodeEnv,
+    envFiles,
+    port: config.port,
+    logLevel: config.logLevel,
+    migrateOnBoot: config.migrateOnBoot,
+    database: config.databaseUrl ? 'DATABASE_URL' : `${config.dbUser}@${config.dbHost}:${config.dbPort}/${config.dbName}`,
+    adminEmail: maskEmail(config.adminEmail),
+    frontendUrl: config.frontendUrl,
+    cors: { mode: config.corsMode, origins: config.corsAllowedOrigins },
+    services: {
+      email: Boolean(config.emailUser && config.emailPass),
+      cloudinary: Boolean(config.cloudinaryCloudName && config.cloudinaryApiKey && config.cloudinaryApiSecret),
+      github: Boolean(config.githubToken)
+    },
+    credentials: {
+      configured: secrets.filter(([key]) => config[key]).map(([, spec]) => spec.env),
+      missing: secrets.filter(([key]) => !config[key]).map(([, spec]) => spec.env)
+    }
+  };
+};
+
+export default config;
@@ -0,0 +1,57 @@
+// config/mailer.js - Shared nodemailer transporter (Gmail)
+import nodemailer from 'nodemailer';
+import logger from '../server/logger.js';
+import { emailsSentTotal, emailsFailedTotal } from '../server/metrics.js';
+import config from './env.js';
+
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: config.emailUser,
+    pass: config.emailPass,
+  },
+});
+
+/**
+ * Send an email and count the outcome in /api/metrics
+ * @param {string} type - Kind of email for the metrics label, e.g. 'password_reset'
+ * @param {Object} message - nodemailer message options
+ * @returns {Promise<Object>} - nodemailer send info
+ */
+export const sendMail = async (type, message) => {
+  try {
+    const info = await transporter.sendMail(message);
+    emailsSentTotal.inc({ type });
+    return info;
+  } catch (error) {
+    emailsFailedTotal.inc({ type });
+    throw error;
+  }
+};
+
+/**
+ * Check the SMTP connection and log the outcome
+ * @returns {Promise<boolean>} - Whether the server accepted the credentials
+ */
+export const verifyMailer = async () => {
+  try {
+    await transporter.verify();
+    logger.info('Email server is ready to send messages');
+    return true;
+  } catch (error) {
+    logger.error('Email configuration error', { reason: error.message, code: error.code });
+    return false;
+  }
+};
+
+// The mailer collaborator handed to createApp
+export const mailer = {
+  sendMail,
+  verify: async () => {
+    const missing = [['EMAIL_USER', config.emailUser], ['EMAIL_PASS', config.emailPass]].filter(([, value]) => !value);
+    if (missing.length > 0) throw new Error(`Missing ${missing.map(([name]) => name).join(', ')}`);
+    return transporter.verify();
+  }
+};
+
+export default transporter;
@@ -0,0 +1,87 @@
+// config/permissions.js - Role/permission matrix for the admin panel
+import config from './env.js';
+
+/**
+ * Every permission the API knows about, as "<resource>:<action>"
+ */
+export const PERMISSIONS = [
+  'projects:write',
+  'projects:delete',
+  'skills:write',
+  'skills:delete',
+  'journey:write',
+  'journey:delete',
+  'blog:write',
+  'blog:delete',
+  'analytics:read',
+  'system:read',
+  'audit:read',
+  'users:manage',
+  'api_keys:manage',
+  'backups:manage',
+  'cors:manage'
+];
+
+/**
+ * Account and key management, full backups and the CORS allowlist. Only
+ * admins can grant these to users, and API keys never get them.
+ */
+export const ADMIN_ONLY_PERMISSIONS = ['users:manage', 'api_keys:manage', 'backups:manage', 'cors:manage'];
+
+/**
+ * Permissions that can be granted to API keys. The admin-only ones stay
+ * behind an interactive login.
+ */
+export const API_KEY_SCOPES = PERMISSIONS.filter(p => !ADMIN_ONLY_PERMISSIONS.includes(p));
+
+/**
+ * Permissions granted by each role. Admins get everything.
+ * Extra grants can be stored per user in users.permissions.
+ */
+export const ROLE_PERMISSIONS = {
+  admin: [...PERMISSIONS],
+  editor: [
+    'projects:write',
+    'skills:write',
+    'journey:write',
+    'blog:write',
+    'blog:delete',
+    'analytics:read'
+  ],
+  viewer: ['analytics:read'],
+  user: []
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Resolve the role of a user. The ADMIN_EMAIL account is always an admin.
+ * @param {Object} user - Row from the users table
+ * @returns {string} - Role name
+ */
+export const getEffectiveRole = (user) => {
+  if (!user) return null;
+  if (config.adminEmail && user.email === config.adminEmail) return 'admin';
+  return ROLE_PERMISSIONS[user.role] ? user.role : 'user';
+};
+
+/**
+ * Resolve the full permission list of a user (role permissions plus per-user grants)
+ * @param {Object} user - Row from the users table
+ * @returns {string[]} - Sorted list of permissions
+ */
+export const getUserPermissions = (user) => {
+  if (!user) return [];
+  const granted = new Set(ROLE_PERMISSIONS[getEffectiveRole(user)]);
+  const extra = Array.isArray(user.permissions) ? user.permissions : [];
+  extra.filter(p => PERMISSIONS.includes(p)).forEach(p => granted.add(p));
+  return [...granted].sort();
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - Row from the users table
+ * @param {string} permission - Permission such as 'blog:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
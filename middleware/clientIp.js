@@ -0,0 +1,16 @@
+// middleware/clientIp.js - Resolve the caller's IP behind Render's proxy
+
+// ip_address columns are VARCHAR(45), the longest textual IPv6 address
+const MAX_IP_LENGTH = 45;
+
+/**
+ * Get the client IP of a request. Express resolves req.ip from
+ * X-Forwarded-For using the app's 'trust proxy' setting (TRUST_PROXY_HOPS),
+ * so only the entries our own proxies appended are believed.
+ * @param {Object} req - Express request
+ * @returns {string|null} - Client IP
+ */
+export const getClientIp = (req) => {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  return ip ? ip.slice(0, MAX_IP_LENGTH) : null;
+};
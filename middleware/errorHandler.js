@@ -1,68 +1,77 @@
-// middleware/errorHandler.js
-const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
+// middleware/errorHandler.js - Turns every error into one JSON envelope:
+// { success: false, status, code, message, details?, requestId }
+import logger from '../server/logger.js';
+import config from '../config/env.js';
+import { AppError, ValidationError, UnauthorizedError, isDatabaseError, mapDatabaseError } from '../server/errors.js';
 
-  // Default error
-  let error = { ...err };
-  error.message = err.message;
+// Stack traces and raw messages of unexpected errors are only shown in development
+const exposeInternals = () => config.isDevelopment;
 
-  // Mongoose bad ObjectId
-  if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
-  }
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
 
-  // Mongoose duplicate key
-  if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
-    error = { message, statusCode: 400 };
+  if (isDatabaseError(err)) {
+    return mapDatabaseError(err) || new AppError('Database error', { code: 'DATABASE_ERROR' });
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    if (err.code === 'LIMIT_FILE_SIZE') return new AppError('File too large', { status: 413, code: 'FILE_TOO_LARGE' });
+    return new ValidationError(err.message, err.field ? [{ location: 'body', field: err.field, message: err.message }] : undefined);
   }
 
-  // MySQL/Database errors
-  if (err.code === 'ER_DUP_ENTRY') {
-    const message = 'Duplicate entry for unique field';
-    error = { message, statusCode: 400 };
-  }
+  // body-parser errors (malformed JSON, oversized body)
+  if (err.type === 'entity.parse.failed') return new ValidationError('Malformed JSON body');
+  if (err.type === 'entity.too.large') return new AppError('Request body too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
 
-  if (err.code === 'ER_NO_SUCH_TABLE') {
-    const message = 'Database table not found';
-    error = { message, statusCode: 500 };
-  }
+  // JWT errors
+  if (err.name === 'TokenExpiredError') return new UnauthorizedError('Token expired');
+  if (err.name === 'JsonWebTokenError') return new UnauthorizedError('Invalid token');
 
-  // Multer errors
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    const message = 'File too large';
-    error = { message, statusCode: 400 };
-  }
+  return new AppError('Internal server error');
+};
 
-  // JWT errors
-  if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = { message, statusCode: 401 };
+/**
+ * Send an error in the standard envelope. Also used for responses that are
+ * built outside the normal next(err) flow.
+ * @param {Object} res - Express response
+ * @param {AppError} error - Error to send
+ * @param {Error} [original] - Underlying error, shown in development only
+ */
+export const sendError = (res, error, original = error) => {
+  if (error.headers) res.set(error.headers);
+
+  const body = {
+    success: false,
+    status: error.status,
+    code: error.code,
+    message: error.message
+  };
+  if (error.details !== undefined) body.details = error.details;
+  // Lets a client report the ID that appears in the server logs
+  if (res.req?.id) body.requestId = res.req.id;
+  if (exposeInternals() && error.status >= 500) {
+    body.error = original.message;
+    body.stack = original.stack;
   }
 
-  if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = { message, statusCode: 401 };
+  res.status(error.status).json(body);
+};
+
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = normalizeError(err);
+
+  if (error.status >= 500) {
+    (req.log || logger).error('request failed', {
+      err,
+      method: req.method,
+      path: req.originalUrl.split('?')[0]
+    });
   }
 
-  res.status(error.statusCode || 500).json({
-    success: false,
-    message: error.message || 'Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
+  sendError(res, error, err);
 };
 
-export default errorHandler;
\ No newline at end of file
+export default errorHandler;
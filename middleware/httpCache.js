@@ -0,0 +1,68 @@
+// middleware/httpCache.js - Cached public GETs with strong ETags and conditional requests
+import config from '../config/env.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const cacheControl = () =>
+  `public, max-age=${config.httpCacheMaxAgeSeconds}, stale-while-revalidate=${config.httpCacheStaleSeconds}`;
+
+const sendEntry = (req, res, entry) => {
+  res.set('Cache-Control', cacheControl());
+  res.set('ETag', entry.etag);
+  if (entry.lastModified) res.set('Last-Modified', entry.lastModified.toUTCString());
+
+  // req.fresh checks If-None-Match (or, without it, If-Modified-Since) against the headers above
+  if (req.fresh) return res.status(304).end();
+  res.type('application/json').send(entry.body);
+};
+
+// The route pattern, its params and the declared query fields (sorted) as
+// validate() left them. Other query parameters don't change the response, so
+// they can't be used to create entries or push real ones out.
+const requestKey = (req, queryFields) => {
+  const query = Object.keys(queryFields).sort()
+    .filter(field => req.query[field] !== undefined && req.query[field] !== null)
+    .map(field => [field, req.query[field]]);
+  return JSON.stringify([req.baseUrl, req.route.path, req.params, query]);
+};
+
+/**
+ * Answer a public GET from the response cache, filling it on a miss.
+ * Only 200 responses sent with res.json are cached.
+ * @param {Object} cache - From createResponseCache
+ * @param {string} resource - Cache group, invalidated by writes to it
+ * @param {Object} [options] - { query } - the query field rules the route validates
+ *   before this middleware; only these fields vary the cached response
+ * @returns {Function} - Express middleware
+ */
+export const cachedResponse = (cache, resource, { query = {} } = {}) => (req, res, next) => {
+  const key = requestKey(req, query);
+  const hit = cache.lookup(resource, key);
+  if (hit) return sendEntry(req, res, hit);
+
+  const since = cache.generation(resource);
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    if (res.statusCode !== 200) return json(payload);
+    return sendEntry(req, res, cache.store(resource, key, payload, since));
+  };
+  next();
+};
+
+/**
+ * Invalidate a resource when a write to it succeeds. Runs before the response
+ * is sent, so a client that reads right after its write sees the change.
+ * @param {Object} cache - From createResponseCache
+ * @param {string} resource - Cache group
+ * @returns {Function} - Express middleware
+ */
+export const invalidateOnWrite = (cache, resource) => (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const end = res.end;
+  res.end = function (...args) {
+    if (res.statusCode < 400) cache.invalidate(resource);
+    return end.apply(this, args);
+  };
+  next();
+};
@@ -0,0 +1,46 @@
+// middleware/httpMetrics.js - Request count and latency per route for /api/metrics
+// Ids in mount paths (e.g. /api/blog/12/revisions) would make every item its own series
+const normalizePath = (path) => path.replace(/\/\d+(?=\/|$)/g, '/:id');
+
+// Express resets req.baseUrl when an error leaves a router, so remember the
+// mount path at the moment a route matches
+const trackMatchedRoute = (req) => {
+  let matched = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched?.route,
+    set: (route) => { matched = { route, baseUrl: req.baseUrl }; }
+  });
+  return () => matched;
+};
+
+// Label with the matched route pattern, never the raw URL
+const routeLabel = (matched, req, res) => {
+  if (matched) {
+    const { baseUrl, route } = matched;
+    return normalizePath(baseUrl && route.path === '/' ? baseUrl : `${baseUrl}${route.path}`);
+  }
+  if (res.statusCode === 404) return 'unmatched';
+  return normalizePath(req.baseUrl) || 'unmatched';
+};
+
+/**
+ * Count and time every request
+ * @param {Object} metrics - From createMetrics
+ * @returns {Function} - Express middleware
+ */
+const httpMetrics = ({ httpRequestsTotal, httpRequestDuration }) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const getMatched = trackMatchedRoute(req);
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(getMatched(), req, res), status: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+
+  next();
+};
+
+export default httpMetrics;
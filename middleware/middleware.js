@@ -1,84 +1,158 @@
 // middleware/middleware.js
 import jwt from 'jsonwebtoken';
-import { executeQuery } from '../server/db.js';
+import { findActiveSession } from '../server/sessions.js';
+import { isApiKey, authenticateApiKey } from '../server/apiKeys.js';
+import { ForbiddenError, UnauthorizedError } from '../server/errors.js';
+import { API_KEY_SCOPES, getEffectiveRole, hasPermission } from '../config/permissions.js';
+import config from '../config/env.js';
 
-// Authentication middleware
-export const isAuthenticated = async (req, res, next) => {
-  try {
-    let token;
-
-    // Get token from header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+/**
+ * Authentication middleware backed by a database: accepts a Bearer JWT, a
+ * Bearer API key or X-API-Key and sets req.user (plus req.sessionId or req.apiKey)
+ * @param {Object} deps - { db }
+ * @returns {Function} - Express middleware
+ */
+export const createAuthentication = ({ db }) => {
+  // API key authentication: the key acts as its creator, limited to its scopes
+  const authenticateWithApiKey = async (key, req, res, next) => {
+    const apiKey = await authenticateApiKey(key, db);
+    if (!apiKey) {
+      req.log.warn('Invalid, revoked or expired API key used');
+      return next(new UnauthorizedError('Invalid or expired API key.'));
     }
 
-    // Make sure token exists
-    if (!token) {
-      console.log('No token provided in request');
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    const users = await db.query('SELECT * FROM users WHERE id = $1', [apiKey.created_by]);
+    if (!users || users.length === 0) {
+      return next(new UnauthorizedError('Invalid API key. Owner not found.'));
+    }
+    if (users[0].disabled_at) {
+      return next(new UnauthorizedError('Invalid API key. Owner account is disabled.'));
     }
 
+    req.user = users[0];
+    req.apiKey = apiKey;
+    req.log.debug('API key authenticated', { keyPrefix: apiKey.key_prefix });
+    next();
+  };
+
+  return async (req, res, next) => {
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log('Token decoded successfully for user:', decoded.email);
-      
-      // Get user from database - FIXED: PostgreSQL uses $1 instead of ?
-      const users = await executeQuery('SELECT * FROM users WHERE id = $1', [decoded.id]);
-      
-      if (!users || users.length === 0) {
-        console.log('User not found in database for id:', decoded.id);
-        return res.status(401).json({ message: 'Invalid token. User not found.' });
+      let token;
+
+      // Get token from header (Bearer JWT, Bearer API key or X-API-Key)
+      if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+      } else if (req.headers['x-api-key']) {
+        token = req.headers['x-api-key'];
       }
 
-      req.user = users[0];
-      console.log('User authenticated:', req.user.email);
-      next();
-    } catch (error) {
-      console.error('Token verification error:', error.message);
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({ message: 'Token expired. Please login again.' });
+      // Make sure token exists
+      if (!token) {
+        return next(new UnauthorizedError('Access denied. No token provided.'));
       }
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({ message: 'Invalid token. Please login again.' });
+
+      if (isApiKey(token)) {
+        return await authenticateWithApiKey(token, req, res, next);
       }
-      return res.status(401).json({ message: 'Authentication failed.' });
+
+      try {
+        // Verify token
+        const decoded = jwt.verify(token, config.jwtSecret);
+
+        // Get user from database
+        const users = await db.query('SELECT * FROM users WHERE id = $1', [decoded.id]);
+
+        if (!users || users.length === 0) {
+          req.log.warn('Token user not found', { userId: decoded.id });
+          return next(new UnauthorizedError('Invalid token. User not found.'));
+        }
+
+        if (users[0].disabled_at) {
+          req.log.warn('Disabled user tried to authenticate', { userId: decoded.id });
+          return next(new UnauthorizedError('This account has been disabled.'));
+        }
+
+        // Access tokens are only honoured while their session is alive
+        const session = await findActiveSession(decoded.sid, db);
+        if (!session || session.user_id !== users[0].id) {
+          req.log.info('Session revoked or expired', { userId: decoded.id });
+          return next(new UnauthorizedError('Session has been revoked. Please login again.'));
+        }
+
+        req.user = users[0];
+        req.sessionId = session.id;
+        req.log.debug('User authenticated', { userId: req.user.id });
+        next();
+      } catch (error) {
+        req.log.debug('Token verification failed', { reason: error.message });
+        if (error.name === 'TokenExpiredError') {
+          return next(new UnauthorizedError('Token expired. Please login again.'));
+        }
+        if (error.name === 'JsonWebTokenError') {
+          return next(new UnauthorizedError('Invalid token. Please login again.'));
+        }
+        return next(new UnauthorizedError('Authentication failed.'));
+      }
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    console.error('Authentication middleware error:', error);
-    res.status(500).json({ message: 'Server error during authentication' });
-  }
+  };
 };
 
 // Admin authorization middleware
 export const isAdmin = async (req, res, next) => {
   try {
     if (!req.user) {
-      console.log('No user found in request object');
-      return res.status(401).json({ message: 'Access denied. Not authenticated.' });
+      return next(new UnauthorizedError('Access denied. Not authenticated.'));
+    }
+
+    if (req.apiKey) {
+      return next(new ForbiddenError('Access denied. API keys cannot use admin-only endpoints.'));
+    }
+
+    // ADMIN_EMAIL is always treated as an admin (see config/permissions.js)
+    const role = getEffectiveRole(req.user);
+
+    if (role !== 'admin') {
+      req.log.info('Admin access denied', { userId: req.user.id, role });
+      return next(new ForbiddenError('Access denied. Admin privileges required.'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Permission-based authorization middleware, e.g. requirePermission('blog:write')
+export const requirePermission = (permission) => (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new UnauthorizedError('Access denied. Not authenticated.'));
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      req.log.info('Permission denied', { userId: req.user.id, permission });
+      return next(new ForbiddenError(`Access denied. Missing permission: ${permission}`));
     }
 
-    // Check if user is admin by role or email
-    const isAdminByRole = req.user.role === 'admin';
-    const isAdminByEmail = req.user.email === process.env.ADMIN_EMAIL;
-
-    console.log('Admin check:', {
-      email: req.user.email,
-      role: req.user.role,
-      adminEmail: process.env.ADMIN_EMAIL,
-      isAdminByRole,
-      isAdminByEmail
-    });
-
-    if (!isAdminByRole && !isAdminByEmail) {
-      console.log('User is not admin:', req.user.email);
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    // API keys are further limited to the scopes they were created with, and
+    // never get admin-only permissions, whatever their stored scopes say
+    if (req.apiKey && !(API_KEY_SCOPES.includes(permission) && (req.apiKey.scopes || []).includes(permission))) {
+      req.log.info('API key scope missing', { keyPrefix: req.apiKey.key_prefix, permission });
+      return next(new ForbiddenError(`Access denied. API key is missing scope: ${permission}`));
     }
 
-    console.log('Admin authorization granted for:', req.user.email);
     next();
   } catch (error) {
-    console.error('Authorization middleware error:', error);
-    res.status(500).json({ message: 'Server error during authorization' });
+    next(error);
   }
-};
\ No newline at end of file
+};
+
+// Rejects API-key requests on routes that need an interactive login (sessions, 2FA, passwords)
+export const requireInteractiveLogin = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new ForbiddenError('This endpoint is not available to API keys.'));
+  }
+  next();
+};
@@ -0,0 +1,65 @@
+// middleware/rateLimit.js - Per-route rate limits with RateLimit-* and Retry-After headers
+import { AppError } from '../server/errors.js';
+import { getClientIp } from './clientIp.js';
+import config from '../config/env.js';
+
+/**
+ * Default key: the authenticated session when there is one, otherwise the
+ * client IP as resolved through the trusted proxies (never a raw header)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const clientKey = (req) => (req.sessionId ? `session:${req.sessionId}` : `ip:${getClientIp(req)}`);
+
+// Limits from config; `key` decides which requests share a bucket
+export const RATE_LIMIT_POLICIES = {
+  contact: { name: 'contact', ...config.rateLimitContact },
+  chatbot: { name: 'chatbot', ...config.rateLimitChatbot },
+  // Per post, so liking one post doesn't use up the likes for another
+  blogLike: { name: 'blog_like', ...config.rateLimitBlogLike, key: (req) => `${clientKey(req)}:post:${req.params.id}` },
+  visitor: { name: 'visitor', ...config.rateLimitVisitor }
+};
+
+// Postgres data exceptions (22xxx) and constraint violations (23xxx) mean the
+// request produced something the store can't take, not that the store is down
+const isInputError = (error) => /^2[23]/.test(error.code || '');
+
+/**
+ * Limit a route with a token bucket
+ * @param {Object} store - From createRateLimitStore
+ * @param {Object} policy - { name, limit, windowSeconds, key? }
+ * @returns {Function} - Express middleware
+ */
+export const rateLimit = (store, policy) => {
+  const { name, limit, windowSeconds, key = clientKey } = policy;
+
+  return async (req, res, next) => {
+    if (!config.rateLimitEnabled) return next();
+
+    let result;
+    try {
+      result = await store.take(policy, key(req));
+    } catch (error) {
+      // Letting these through would make the limit bypassable on purpose
+      if (isInputError(error)) return next(error);
+      // Don't turn a database hiccup into an outage of the public site
+      req.log.warn('Rate limit check failed, allowing request', { policy: name, reason: error.message });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+    if (result.allowed) return next();
+
+    next(new AppError('Too many requests. Please try again later.', {
+      status: 429,
+      code: 'RATE_LIMITED',
+      details: { retryAfter: result.retryAfter },
+      headers: { 'Retry-After': String(result.retryAfter) }
+    }));
+  };
+};
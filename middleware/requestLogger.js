@@ -0,0 +1,44 @@
+// middleware/requestLogger.js - Request IDs and access logs
+import crypto from 'crypto';
+import logger from '../server/logger.js';
+
+// Trust a caller-supplied ID only when it is short and harmless to log
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const levelFor = (status) => {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+};
+
+/**
+ * Give every request an ID (reusing a valid incoming X-Request-Id), echo it in
+ * the X-Request-Id response header, expose a request-scoped logger as req.log
+ * and write one access log entry when the response is finished.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    req.log[levelFor(status)]('request completed', {
+      method: req.method,
+      // Path only: query strings can carry tokens
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      contentLength: Number(res.get('Content-Length')) || undefined,
+      userId: req.user?.id,
+      keyPrefix: req.apiKey?.key_prefix,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  next();
+};
+
+export default requestLogger;
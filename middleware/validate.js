@@ -0,0 +1,244 @@
+// middleware/validate.js - Declarative validation/coercion for body, params and query
+//
+// Usage:
+//   router.put('/:id', validate({
+//     params: { id: { type: 'id', required: true } },
+//     body: strict({ title: { type: 'string', maxLength: 255 } })
+//   }), handler)
+//
+// Field rules: type, required, nullable, default, min, max, minLength,
+// maxLength, pattern, values (enum), items (rule for array elements).
+// nullable: false rejects a field that is sent but left empty.
+// Unknown fields are dropped, or rejected when the schema is wrapped in strict().
+import fs from 'fs';
+import { ValidationError } from '../server/errors.js';
+
+const STRICT = Symbol('strict');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Mark a schema so that fields it doesn't list are rejected instead of dropped
+ * @param {Object} fields - Field rules
+ * @returns {Object} - Same rules, flagged as strict
+ */
+export const strict = (fields) => ({ ...fields, [STRICT]: true });
+
+const checkLength = (value, rule) => {
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} ${typeof value === 'string' ? 'characters' : 'items'}`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} ${typeof value === 'string' ? 'characters' : 'items'}`;
+  }
+  return null;
+};
+
+const checkRange = (value, rule) => {
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  return null;
+};
+
+// Each coercer returns { value } or { error }
+const coercers = {
+  string(value, rule) {
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const trimmed = rule.trim === false ? value : value.trim();
+    const lengthError = checkLength(trimmed, rule);
+    if (lengthError) return { error: lengthError };
+    if (rule.pattern && !rule.pattern.test(trimmed)) return { error: rule.patternMessage || 'has an invalid format' };
+    return { value: trimmed };
+  },
+
+  email(value, rule) {
+    const result = coercers.string(value, { maxLength: 255, ...rule });
+    if (result.error) return result;
+    if (!EMAIL_PATTERN.test(result.value)) return { error: 'must be a valid email address' };
+    return result;
+  },
+
+  url(value, rule) {
+    const result = coercers.string(value, { maxLength: 500, ...rule });
+    if (result.error) return result;
+    try {
+      const url = new URL(result.value);
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+    } catch {
+      return { error: 'must be a valid URL' };
+    }
+    return result;
+  },
+
+  integer(value, rule) {
+    const number = typeof value === 'number'
+      ? value
+      : (typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : NaN);
+    if (!Number.isSafeInteger(number)) return { error: 'must be an integer' };
+    const rangeError = checkRange(number, rule);
+    return rangeError ? { error: rangeError } : { value: number };
+  },
+
+  // Positive integer primary key
+  id(value, rule) {
+    return coercers.integer(value, { min: 1, ...rule });
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN);
+    if (!Number.isFinite(number)) return { error: 'must be a number' };
+    const rangeError = checkRange(number, rule);
+    return rangeError ? { error: rangeError } : { value: number };
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === '1' || value === 1) return { value: true };
+    if (value === 'false' || value === '0' || value === 0) return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  // Calendar date, normalized to YYYY-MM-DD
+  date(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+      return { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    return { value: value.slice(0, 10) };
+  },
+
+  // Point in time, coerced to a Date
+  datetime(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if ((typeof value !== 'string' && !(value instanceof Date) && typeof value !== 'number') || isNaN(date.getTime())) {
+      return { error: 'must be a valid date/time' };
+    }
+    return { value: date };
+  },
+
+  enum(value, rule) {
+    if (!rule.values.includes(value)) return { error: `must be one of: ${rule.values.join(', ')}` };
+    return { value };
+  },
+
+  // Accepts an array, a JSON array string or (for multipart forms) a comma-separated string
+  array(value, rule) {
+    let list = value;
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (text.startsWith('[')) {
+        try {
+          list = JSON.parse(text);
+        } catch {
+          return { error: 'must be an array' };
+        }
+      } else {
+        list = text.split(',').map(item => item.trim()).filter(Boolean);
+      }
+    }
+    if (!Array.isArray(list)) return { error: 'must be an array' };
+
+    const lengthError = checkLength(list, rule);
+    if (lengthError) return { error: lengthError };
+    if (!rule.items) return { value: list };
+
+    const coerced = [];
+    for (let i = 0; i < list.length; i++) {
+      const result = coerceValue(list[i], rule.items);
+      if (result.error) return { error: `item ${i + 1} ${result.error}` };
+      coerced.push(result.value);
+    }
+    return { value: coerced };
+  },
+
+  object(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+    return { value };
+  }
+};
+
+const coerceValue = (value, rule) => {
+  const coercer = coercers[rule.type];
+  if (!coercer) throw new Error(`Unknown validation type: ${rule.type}`);
+  return coercer(value, rule);
+};
+
+const validateLocation = (input, fields, location) => {
+  const errors = [];
+  const output = {};
+  const source = input && typeof input === 'object' ? input : {};
+
+  if (fields[STRICT]) {
+    Object.keys(source)
+      .filter(key => !Object.prototype.hasOwnProperty.call(fields, key))
+      .forEach(key => errors.push({ location, field: key, message: `${key} is not an allowed field` }));
+  }
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const present = Object.prototype.hasOwnProperty.call(source, field);
+    const value = source[field];
+
+    if (isBlank(value)) {
+      if (rule.required) {
+        errors.push({ location, field, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        output[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      } else if (present && rule.nullable === false) {
+        errors.push({ location, field, message: `${field} cannot be empty` });
+      } else if (present) {
+        output[field] = null;
+      }
+      continue;
+    }
+
+    const result = coerceValue(value, rule);
+    if (result.error) {
+      errors.push({ location, field, message: `${field} ${result.error}` });
+    } else {
+      output[field] = result.value;
+    }
+  }
+
+  return { errors, output };
+};
+
+/**
+ * Build a middleware that validates and coerces req.params, req.query and req.body.
+ * Fails with a ValidationError listing every failing field; on success the coerced values replace the originals.
+ * A file already stored by multer is removed when the request is rejected.
+ * @param {Object} schema - { params, query, body } field rules
+ * @returns {Function} - Express middleware
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const results = {};
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+    const { errors: locationErrors, output } = validateLocation(req[location], schema[location], location);
+    errors.push(...locationErrors);
+    results[location] = output;
+  }
+
+  if (errors.length > 0) {
+    if (req.file?.path) fs.unlink(req.file.path, () => {});
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  Object.assign(req, results);
+  next();
+};
+
+/**
+ * Common rules shared by many routes
+ */
+export const rules = {
+  idParam: { id: { type: 'id', required: true } },
+  pagination: (defaultLimit = 10, maxLimit = 100) => ({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: maxLimit, default: defaultLimit }
+  })
+};
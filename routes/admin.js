@@ -0,0 +1,61 @@
+// routes/admin.js - Site administration: full content backup export and import
+import express from 'express';
+import multer from 'multer';
+import { CONFLICT_STRATEGIES, MAX_ARCHIVE_BYTES, createBackupArchive, readBackupArchive, importBackup } from '../server/backup.js';
+import { ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate } from '../middleware/validate.js';
+
+// Archives are parsed in memory and never written to disk as-is
+const uploadArchive = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_BYTES }
+});
+
+const importSchema = {
+  body: {
+    strategy: { type: 'enum', values: CONFLICT_STRATEGIES, default: 'skip' }
+  }
+};
+
+const adminRoutes = ({ db, clock, cache }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated, requirePermission('backups:manage'));
+
+  // Download a backup of all content plus referenced local uploads
+  router.get('/export', async (req, res, next) => {
+    try {
+      const { archive } = await createBackupArchive(req, { db, clock });
+      const stamp = clock.now().toISOString().replace(/[:.]/g, '-');
+
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="portfolio-backup-${stamp}.json.gz"`
+      });
+      res.send(archive);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Restore a backup archive (multipart field "archive")
+  router.post('/import', uploadArchive.single('archive'), validate(importSchema), async (req, res, next) => {
+    try {
+      if (!req.file) throw new ValidationError('Backup archive is required');
+
+      const backup = await readBackupArchive(req.file.buffer);
+      const report = await importBackup(backup, { strategy: req.body.strategy }, req, db);
+      cache.clear();
+
+      res.json({ message: 'Backup imported successfully', ...report });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default adminRoutes;
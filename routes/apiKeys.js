@@ -0,0 +1,81 @@
+// routes/apiKeys.js
+import express from 'express';
+import { createApiKey, listApiKeys, revokeApiKey } from '../server/apiKeys.js';
+import { recordAudit } from '../server/audit.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, rules } from '../middleware/validate.js';
+import { API_KEY_SCOPES, hasPermission } from '../config/permissions.js';
+
+const createApiKeySchema = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    scopes: { type: 'array', required: true, minLength: 1, items: { type: 'enum', values: API_KEY_SCOPES } },
+    expiresAt: { type: 'datetime' }
+  }
+};
+
+const apiKeyRoutes = ({ db, clock }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated, requirePermission('api_keys:manage'));
+
+  // List API keys
+  router.get('/', async (req, res, next) => {
+    try {
+      const keys = await listApiKeys(db);
+      res.json(keys);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create an API key (the plain key is only shown in this response)
+  router.post('/', validate(createApiKeySchema), async (req, res, next) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      // A key can never do more than the person who created it
+      const notHeld = scopes.filter(scope => !hasPermission(req.user, scope));
+      if (notHeld.length > 0) {
+        throw new ForbiddenError(`You cannot grant scopes you don't have: ${notHeld.join(', ')}`);
+      }
+
+      if (expiresAt && expiresAt <= clock.now()) {
+        throw new ValidationError('expiresAt must be a future date');
+      }
+
+      const { key, apiKey } = await createApiKey({
+        name,
+        scopes: [...new Set(scopes)],
+        createdBy: req.user.id,
+        expiresAt: expiresAt || null
+      }, db);
+
+      await recordAudit(req, { action: 'create', entityType: 'api_key', entityId: apiKey.id, after: apiKey }, db);
+
+      res.status(201).json({ ...apiKey, key, message: 'Store this key now, it will not be shown again' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Revoke an API key
+  router.delete('/:id', validate({ params: rules.idParam }), async (req, res, next) => {
+    try {
+      const revoked = await revokeApiKey(req.params.id, db);
+      if (!revoked) throw new NotFoundError('API key not found');
+
+      await recordAudit(req, { action: 'revoke', entityType: 'api_key', entityId: req.params.id }, db);
+
+      res.json({ message: 'API key revoked successfully', id: req.params.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default apiKeyRoutes;
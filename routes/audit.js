@@ -0,0 +1,67 @@
+// routes/audit.js
+import express from 'express';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, rules } from '../middleware/validate.js';
+
+const auditQuerySchema = {
+  query: {
+    ...rules.pagination(50, 200),
+    actor: { type: 'string', maxLength: 255 },
+    actorId: { type: 'id' },
+    action: { type: 'string', maxLength: 50 },
+    entityType: { type: 'string', maxLength: 50 },
+    entityId: { type: 'string', maxLength: 100 },
+    from: { type: 'datetime' },
+    to: { type: 'datetime' }
+  }
+};
+
+const auditRoutes = ({ db }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  // Get audit log entries (filterable, paginated)
+  router.get('/', isAuthenticated, requirePermission('audit:read'), validate(auditQuerySchema), async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const conditions = [];
+      const params = [];
+      const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+      };
+
+      if (req.query.actor) addCondition('actor_email = ?', req.query.actor);
+      if (req.query.actorId) addCondition('actor_id = ?', req.query.actorId);
+      if (req.query.action) addCondition('action = ?', req.query.action);
+      if (req.query.entityType) addCondition('entity_type = ?', req.query.entityType);
+      if (req.query.entityId) addCondition('entity_id = ?', req.query.entityId);
+      if (req.query.from) addCondition('created_at >= ?', req.query.from);
+      if (req.query.to) addCondition('created_at <= ?', req.query.to);
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [entries, totalRows] = await Promise.all([
+        db.query(
+          `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        db.query(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, params)
+      ]);
+      const total = totalRows[0]?.total || 0;
+
+      res.json({
+        entries,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default auditRoutes;
@@ -2,67 +2,513 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { executeQuery } from '../server/db.js';
-import { isAuthenticated, isAdmin } from '../middleware/middleware.js';
+import {
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions
+} from '../server/sessions.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode,
+  clearRecoveryCodes
+} from '../server/twoFactor.js';
+import {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  buildResetPasswordUrl
+} from '../server/passwordReset.js';
+import {
+  recordLoginAttempt,
+  checkIpThrottle,
+  attemptWithAccountThrottle,
+  resetAccountThrottle,
+  throttleError
+} from '../server/loginThrottle.js';
+import { ConflictError, ForbiddenError, NotFoundError, UnauthorizedError, ValidationError } from '../server/errors.js';
+import config from '../config/env.js';
+import { createAuthentication, requireInteractiveLogin, requirePermission } from '../middleware/middleware.js';
+import { getClientIp } from '../middleware/clientIp.js';
+import { validate, rules } from '../middleware/validate.js';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getEffectiveRole,
+  getUserPermissions
+} from '../config/permissions.js';
 
-const router = express.Router();
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const MIN_PASSWORD_LENGTH = 8;
 
-// Login route
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ message: 'Email and password are required' });
+// Passwords are taken as typed, never trimmed
+const passwordRule = { type: 'string', required: true, trim: false, maxLength: 200 };
+const newPasswordRule = { ...passwordRule, minLength: MIN_PASSWORD_LENGTH };
+const totpCode = { type: 'string', maxLength: 20 };
 
-    const users = await executeQuery('SELECT * FROM users WHERE email = $1', [email]);
-    if (!users || users.length === 0) return res.status(401).json({ message: 'Invalid credentials' });
+const schemas = {
+  login: {
+    body: { email: { type: 'string', required: true, maxLength: 255 }, password: passwordRule }
+  },
+  loginTwoFactor: {
+    body: {
+      challengeToken: { type: 'string', required: true, maxLength: 2000 },
+      code: totpCode,
+      recoveryCode: { type: 'string', maxLength: 50 }
+    }
+  },
+  totpCode: { body: { code: { ...totpCode, required: true } } },
+  disableTwoFactor: { body: { password: passwordRule, code: { ...totpCode, required: true } } },
+  refresh: { body: { refreshToken: { type: 'string', required: true, maxLength: 200 } } },
+  sessionId: { params: { id: { type: 'string', required: true, maxLength: 36 } } },
+  forgotPassword: { body: { email: { type: 'string', required: true, maxLength: 255 } } },
+  resetPassword: {
+    body: { token: { type: 'string', required: true, maxLength: 200 }, newPassword: newPasswordRule }
+  },
+  changePassword: { body: { currentPassword: passwordRule, newPassword: newPasswordRule } },
+  loginAttempts: {
+    query: {
+      ...rules.pagination(50, 200),
+      email: { type: 'string', maxLength: 255 },
+      ip: { type: 'string', maxLength: 45 },
+      success: { type: 'boolean' }
+    }
+  }
+};
+
+const passwordResetEmailTemplate = ({ resetUrl }) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #14b8a6 0%, #06b6d4 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+    .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+    .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2>🔑 Reset your password</h2>
+    </div>
+    <div class="content">
+      <p>Someone asked to reset the password of your portfolio admin account.</p>
+      <p><a class="button" href="${resetUrl}">Choose a new password</a></p>
+      <p>This link works once and expires soon. If you didn't ask for it, you can ignore this email.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+// Check a TOTP code and remember its time step so the same code can't be replayed
+const acceptTotpCode = async (user, code, db) => {
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_counter);
+  if (step === null) return false;
 
-    const user = users[0];
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) return res.status(401).json({ message: 'Invalid credentials' });
+  const rows = await db.query(`
+    UPDATE users SET totp_last_counter = $1
+    WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)
+    RETURNING id
+  `, [step, user.id]);
+  return rows.length > 0;
+};
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+const authRoutes = ({ db, mailer, background }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  // Email a reset link when the address belongs to an active account
+  const sendPasswordReset = async (email) => {
+    const users = await db.query(
+      'SELECT id, email FROM users WHERE email = $1 AND disabled_at IS NULL',
+      [email]
     );
+    if (users.length === 0) return;
 
-    res.json({ token, email: user.email, role: user.role });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login', error: error.message });
-  }
-});
+    const token = await createPasswordResetToken(users[0].id, undefined, db);
+    await mailer.sendMail('password_reset', {
+      from: `"Portfolio Admin" <${config.emailUser}>`,
+      to: users[0].email,
+      subject: 'Reset your portfolio admin password',
+      html: passwordResetEmailTemplate({ resetUrl: buildResetPasswordUrl(token) }),
+    });
+  };
+
+  // Login route
+  router.post('/login', validate(schemas.login), async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const attempt = { email, ipAddress: getClientIp(req), userAgent: req.headers['user-agent'] };
+
+      const ipBlock = await checkIpThrottle(attempt.ipAddress, db);
+      if (ipBlock) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: 'ip_throttled' }, db);
+        throw throttleError(ipBlock);
+      }
+
+      const users = await db.query('SELECT * FROM users WHERE email = $1', [email]);
+      if (!users || users.length === 0) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: 'unknown_email' }, db);
+        throw new UnauthorizedError('Invalid credentials');
+      }
+
+      const user = users[0];
+      const { block: accountBlock, valid: isPasswordValid } = await attemptWithAccountThrottle(
+        user.id,
+        () => bcrypt.compare(password, user.password),
+        db
+      );
+      if (accountBlock) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: accountBlock.status === 423 ? 'locked' : 'backoff' }, db);
+        throw throttleError(accountBlock);
+      }
 
-// Verify token route
-router.get('/verify', isAuthenticated, (req, res) => {
-  res.json({
-    email: req.user.email,
-    role: req.user.role,
-    isAdmin: req.user.email === process.env.ADMIN_EMAIL
+      if (!isPasswordValid) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_password' }, db);
+        throw new UnauthorizedError('Invalid credentials');
+      }
+
+      if (user.disabled_at) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: 'disabled' }, db);
+        throw new ForbiddenError('This account has been disabled');
+      }
+
+      // With 2FA enabled the password only earns a short-lived challenge token
+      if (user.totp_enabled) {
+        const challengeToken = jwt.sign(
+          { id: user.id, purpose: '2fa_challenge' },
+          config.jwtSecret,
+          { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+        );
+        await recordLoginAttempt({ ...attempt, success: true, reason: '2fa_required' }, db);
+        return res.json({ twoFactorRequired: true, challengeToken });
+      }
+
+      await resetAccountThrottle(user.id, db);
+      await recordLoginAttempt({ ...attempt, success: true }, db);
+      const tokens = await createSession(user, req, db);
+
+      res.json({ ...tokens, email: user.email, role: user.role });
+    } catch (error) {
+      next(error);
+    }
   });
-});
 
-// Change password route (admin only)
-router.post('/change-password', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    if (!currentPassword || !newPassword) return res.status(400).json({ message: 'Current and new passwords are required' });
+  // Second login step when 2FA is enabled (TOTP code or recovery code)
+  router.post('/login/2fa', validate(schemas.loginTwoFactor), async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!code && !recoveryCode) {
+        throw new ValidationError('A code or recovery code is required');
+      }
 
-    const users = await executeQuery('SELECT * FROM users WHERE id = $1', [req.user.id]);
-    if (!users || users.length === 0) return res.status(404).json({ message: 'User not found' });
+      let challenge;
+      try {
+        challenge = jwt.verify(challengeToken, config.jwtSecret);
+      } catch (error) {
+        throw new UnauthorizedError('Login challenge expired. Please login again.');
+      }
+      if (challenge.purpose !== '2fa_challenge') throw new UnauthorizedError('Invalid login challenge');
 
-    const user = users[0];
-    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
-    if (!isPasswordValid) return res.status(401).json({ message: 'Current password is incorrect' });
+      const users = await db.query('SELECT * FROM users WHERE id = $1', [challenge.id]);
+      if (users.length === 0 || !users[0].totp_enabled || users[0].disabled_at) {
+        throw new UnauthorizedError('Invalid login challenge');
+      }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await executeQuery('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.id]);
+      const user = users[0];
+      const attempt = { email: user.email, ipAddress: getClientIp(req), userAgent: req.headers['user-agent'] };
 
-    res.json({ message: 'Password updated successfully' });
-  } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ message: 'Server error during password change', error: error.message });
-  }
-});
+      // Codes are only 6 digits, so they get the same throttling as passwords
+      const ipBlock = await checkIpThrottle(attempt.ipAddress, db);
+      const { block, valid: isCodeValid } = ipBlock
+        ? { block: ipBlock }
+        : await attemptWithAccountThrottle(
+          user.id,
+          (tx) => (code ? acceptTotpCode(user, code, tx) : consumeRecoveryCode(user.id, recoveryCode, tx)),
+          db
+        );
+      if (block) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: block.status === 423 ? 'locked' : 'backoff' }, db);
+        throw throttleError(block);
+      }
+
+      if (!isCodeValid) {
+        await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_2fa_code' }, db);
+        throw new UnauthorizedError('Invalid authentication code');
+      }
+
+      await resetAccountThrottle(user.id, db);
+      await recordLoginAttempt({ ...attempt, success: true }, db);
+      const tokens = await createSession(user, req, db);
+
+      res.json({ ...tokens, email: user.email, role: user.role });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Start 2FA enrollment: returns the secret and the otpauth:// URI for the QR code
+  router.post('/2fa/setup', isAuthenticated, requireInteractiveLogin, async (req, res, next) => {
+    try {
+      if (req.user.totp_enabled) throw new ConflictError('Two-factor authentication is already enabled');
+
+      const secret = generateTotpSecret();
+      await db.query(
+        'UPDATE users SET totp_secret = $1, totp_last_counter = NULL WHERE id = $2',
+        [secret, req.user.id]
+      );
+
+      res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, req.user.email) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Finish 2FA enrollment by proving the authenticator app works
+  router.post('/2fa/enable', isAuthenticated, requireInteractiveLogin, validate(schemas.totpCode), async (req, res, next) => {
+    try {
+      const { code } = req.body;
+      if (req.user.totp_enabled) throw new ConflictError('Two-factor authentication is already enabled');
+      if (!req.user.totp_secret) throw new ValidationError('Start two-factor setup first');
+
+      const isCodeValid = await acceptTotpCode(req.user, code, db);
+      if (!isCodeValid) throw new UnauthorizedError('Invalid authentication code');
+
+      await db.query('UPDATE users SET totp_enabled = TRUE WHERE id = $1', [req.user.id]);
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id, db);
+
+      res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Disable 2FA (requires the password and a current code)
+  router.post('/2fa/disable', isAuthenticated, requireInteractiveLogin, validate(schemas.disableTwoFactor), async (req, res, next) => {
+    try {
+      const { password, code } = req.body;
+      if (!req.user.totp_enabled) throw new ValidationError('Two-factor authentication is not enabled');
+
+      const isPasswordValid = await bcrypt.compare(password, req.user.password);
+      if (!isPasswordValid) throw new UnauthorizedError('Password is incorrect');
+
+      const isCodeValid = await acceptTotpCode(req.user, code, db) || await consumeRecoveryCode(req.user.id, code, db);
+      if (!isCodeValid) throw new UnauthorizedError('Invalid authentication code');
+
+      await db.query(
+        'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_counter = NULL WHERE id = $1',
+        [req.user.id]
+      );
+      await clearRecoveryCodes(req.user.id, db);
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Replace the recovery codes (invalidates the old ones)
+  router.post('/2fa/recovery-codes', isAuthenticated, requireInteractiveLogin, validate(schemas.totpCode), async (req, res, next) => {
+    try {
+      const { code } = req.body;
+      if (!req.user.totp_enabled) throw new ValidationError('Two-factor authentication is not enabled');
+
+      const isCodeValid = await acceptTotpCode(req.user, code, db);
+      if (!isCodeValid) throw new UnauthorizedError('Invalid authentication code');
+
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id, db);
+      res.json({ recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Exchange a refresh token for a new access/refresh token pair
+  router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const tokens = await rotateSession(refreshToken, db);
+      if (!tokens) throw new UnauthorizedError('Invalid or expired refresh token. Please login again.');
+
+      res.json(tokens);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Logout (revokes the current session)
+  router.post('/logout', isAuthenticated, requireInteractiveLogin, async (req, res, next) => {
+    try {
+      await revokeSession(req.sessionId, req.user.id, db);
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Logout from all devices (revokes every session of the current user)
+  router.post('/logout-all', isAuthenticated, requireInteractiveLogin, async (req, res, next) => {
+    try {
+      const revoked = await revokeAllSessions(req.user.id, null, db);
+      res.json({ message: 'Logged out from all devices', revoked });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List active sessions of the current user
+  router.get('/sessions', isAuthenticated, requireInteractiveLogin, async (req, res, next) => {
+    try {
+      const sessions = await listActiveSessions(req.user.id, db);
+      res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Revoke one session of the current user (e.g. a stolen laptop)
+  router.delete('/sessions/:id', isAuthenticated, requireInteractiveLogin, validate(schemas.sessionId), async (req, res, next) => {
+    try {
+      const revoked = await revokeSession(req.params.id, req.user.id, db);
+      if (!revoked) throw new NotFoundError('Session not found');
+
+      res.json({ message: 'Session revoked successfully', id: req.params.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Request a password reset email. Always answers the same way so it can't be
+  // used to find out which emails have accounts.
+  router.post('/forgot-password', validate(schemas.forgotPassword), (req, res) => {
+    const { email } = req.body;
+
+    // Answer before looking anything up, so neither the response time nor a
+    // mail failure tells a registered email from an unknown one. A retry
+    // issues a fresh token, so only the link that was delivered works.
+    res.json({ message: 'If that email has an account, a reset link has been sent' });
+
+    background.run('password_reset_email', () => sendPasswordReset(email.trim()));
+  });
+
+  // Set a new password with a reset token
+  router.post('/reset-password', validate(schemas.resetPassword), async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const userId = await consumePasswordResetToken(token, db);
+      if (!userId) throw new ValidationError('Reset link is invalid or has expired');
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
+
+      // Whoever held the old password loses their sessions
+      await revokeAllSessions(userId, null, db);
+
+      res.json({ message: 'Password has been reset. Please login with your new password.' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Verify token route
+  router.get('/verify', isAuthenticated, (req, res) => {
+    res.json({
+      email: req.user.email,
+      role: getEffectiveRole(req.user),
+      permissions: getUserPermissions(req.user),
+      isAdmin: getEffectiveRole(req.user) === 'admin',
+      twoFactorEnabled: !!req.user.totp_enabled
+    });
+  });
+
+  // Recent login attempts, filterable by email, IP and outcome
+  router.get('/login-attempts', isAuthenticated, requirePermission('users:manage'), validate(schemas.loginAttempts), async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const conditions = [];
+      const params = [];
+      if (req.query.email) {
+        params.push(req.query.email);
+        conditions.push(`email = $${params.length}`);
+      }
+      if (req.query.ip) {
+        params.push(req.query.ip);
+        conditions.push(`ip_address = $${params.length}`);
+      }
+      if (typeof req.query.success === 'boolean') {
+        params.push(req.query.success);
+        conditions.push(`success = $${params.length}`);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [attempts, totalRows, topIps] = await Promise.all([
+        db.query(
+          `SELECT * FROM login_attempts ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        db.query(`SELECT COUNT(*)::int AS total FROM login_attempts ${where}`, params),
+        db.query(`
+          SELECT ip_address, COUNT(*)::int AS failures, MAX(created_at) AS last_attempt
+          FROM login_attempts
+          WHERE success = FALSE AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'
+          GROUP BY ip_address
+          ORDER BY failures DESC
+          LIMIT 10
+        `)
+      ]);
+      const total = totalRows[0]?.total || 0;
+
+      res.json({
+        attempts,
+        topFailingIps: topIps,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the role/permission matrix
+  router.get('/permissions', isAuthenticated, (req, res) => {
+    res.json({ permissions: PERMISSIONS, roles: ROLE_PERMISSIONS });
+  });
+
+  // Change own password
+  router.post('/change-password', isAuthenticated, requireInteractiveLogin, validate(schemas.changePassword), async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const users = await db.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+      if (!users || users.length === 0) throw new NotFoundError('User not found');
+
+      const user = users[0];
+      const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      if (!isPasswordValid) throw new UnauthorizedError('Current password is incorrect');
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.id]);
+
+      // Sign out every other device that knew the old password
+      await revokeAllSessions(req.user.id, req.sessionId, db);
+
+      res.json({ message: 'Password updated successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
 
-export default router;
+export default authRoutes;
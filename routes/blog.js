@@ -1,274 +1,267 @@
 // routes/blog.js
 import express from 'express';
-import { executeQuery } from '../server/db.js';
-import { isAuthenticated, isAdmin } from '../middleware/middleware.js';
-
-const router = express.Router();
-
-// Get all blog posts (public)
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page || '1', 10);
-    const limit = parseInt(req.query.limit || '10', 10);
-    const category = req.query.category;
-    const featured = req.query.featured;
-    const offset = (page - 1) * limit;
-
-    let baseQuery = `
-      SELECT id, title, excerpt, content, tags, featured_image, author_id, published_at, updated_at, views, likes, reading_time, status, featured, slug
-      FROM blog_posts
-      WHERE status = 'published'
-    `;
-    const params = [];
-    let idx = 1;
-
-    if (category) {
-      baseQuery += ` AND category = $${idx++}`;
-      params.push(category);
+import { recordAudit } from '../server/audit.js';
+import { recordRevision } from '../server/revisions.js';
+import {
+  listPublishedPosts,
+  findPublishedPostBySlug,
+  getRenderedContent,
+  incrementPostViews,
+  incrementPostLikes,
+  listRelatedPosts,
+  listPublishedCategories,
+  getPublishedPostStats,
+  findPostForUpdate,
+  createPost,
+  updatePost,
+  trashPost
+} from '../server/repositories/blog.js';
+import { NotFoundError, ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, strict, rules } from '../middleware/validate.js';
+import { cachedResponse, invalidateOnWrite } from '../middleware/httpCache.js';
+import { rateLimit, RATE_LIMIT_POLICIES } from '../middleware/rateLimit.js';
+import revisionRoutes from './revisions.js';
+
+const BLOG_STATUSES = ['draft', 'published', 'archived'];
+
+const blogPostFields = {
+  title: { type: 'string', maxLength: 255, nullable: false },
+  slug: {
+    type: 'string',
+    maxLength: 255,
+    nullable: false,
+    pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    patternMessage: 'must be lowercase words separated by hyphens'
+  },
+  excerpt: { type: 'string' },
+  content: { type: 'string', nullable: false },
+  category: { type: 'string', maxLength: 100 },
+  featured_image: { type: 'string', maxLength: 255 },
+  reading_time: { type: 'integer', min: 1, max: 600 },
+  tags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 50 } },
+  featured: { type: 'boolean' },
+  status: { type: 'enum', values: BLOG_STATUSES }
+};
+
+const listPostsSchema = {
+  query: {
+    ...rules.pagination(10, 50),
+    category: { type: 'string', maxLength: 100 },
+    featured: { type: 'boolean' }
+  }
+};
+
+const slugSchema = {
+  params: { slug: { type: 'string', required: true, maxLength: 255 } },
+  query: { format: { type: 'enum', values: ['markdown', 'html'], default: 'markdown' } }
+};
+
+const createPostSchema = {
+  body: {
+    title: { ...blogPostFields.title, required: true },
+    content: { ...blogPostFields.content, required: true },
+    excerpt: blogPostFields.excerpt,
+    category: blogPostFields.category,
+    featured_image: blogPostFields.featured_image,
+    author: { type: 'id' },
+    reading_time: blogPostFields.reading_time,
+    tags: blogPostFields.tags,
+    featured: { ...blogPostFields.featured, default: false },
+    status: { ...blogPostFields.status, default: 'draft' }
+  }
+};
+
+// Only these columns can be updated; anything else in the body is rejected
+const updatePostSchema = {
+  params: rules.idParam,
+  body: strict(blogPostFields)
+};
+
+const blogRoutes = ({ db, clock, cache, rateLimitStore }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  // Get all blog posts (public)
+  router.get('/', validate(listPostsSchema), cachedResponse(cache, 'blog', listPostsSchema), async (req, res, next) => {
+    try {
+      const { page, limit, category, featured } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { posts, total } = await listPublishedPosts({ category, featured, limit, offset }, db);
+
+      res.json({
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      next(error);
     }
-    if (featured === 'true') {
-      baseQuery += ` AND featured = true`;
+  });
+
+  // Get single blog post by slug (not cached: every read counts a view)
+  router.get('/:slug', validate(slugSchema), async (req, res, next) => {
+    try {
+      const post = await findPublishedPostBySlug(req.params.slug, db);
+      if (!post) throw new NotFoundError('Blog post not found');
+
+      const { format } = req.query;
+      const [views, relatedPosts, rendered] = await Promise.all([
+        incrementPostViews(post.id, db),
+        listRelatedPosts(post.category, post.id, db),
+        format === 'html' ? getRenderedContent(post, db) : null
+      ]);
+
+      // content is the Markdown source, or with ?format=html the sanitized HTML plus its table of contents
+      const { content_html: contentHtml, content_toc: contentToc, content_render_version: renderVersion, ...fields } = post;
+      res.json({
+        post: {
+          ...fields,
+          ...(rendered && { content: rendered.html, toc: rendered.toc }),
+          format,
+          views: views ?? (post.views || 0) + 1
+        },
+        relatedPosts
+      });
+    } catch (error) {
+      next(error);
     }
-
-    baseQuery += ` ORDER BY published_at DESC LIMIT $${idx++} OFFSET $${idx++}`;
-    params.push(limit, offset);
-
-    const posts = await executeQuery(baseQuery, params);
-
-    // Total count for pagination
-    let countQuery = `SELECT COUNT(*)::int AS total FROM blog_posts WHERE status = 'published'`;
-    const countParams = [];
-    if (category) {
-      countQuery += ` AND category = $1`;
-      countParams.push(category);
+  });
+
+  // Get blog categories
+  router.get('/meta/categories', cachedResponse(cache, 'blog'), async (req, res, next) => {
+    try {
+      const categories = await listPublishedCategories(db);
+      res.json(categories);
+    } catch (error) {
+      next(error);
     }
-    const totalCountRows = await executeQuery(countQuery, countParams);
-    const total = totalCountRows[0]?.total || 0;
-
-    res.json({
-      posts,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+  });
+
+  // Get blog statistics
+  router.get('/meta/stats', cachedResponse(cache, 'blog'), async (req, res, next) => {
+    try {
+      const stats = await getPublishedPostStats(db);
+      res.json(stats);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Like a blog post. Not a cache invalidation: cached lists catch up on likes
+  // within the cache TTL, like they do on views.
+  // Validated first: the post id is part of the rate limit key
+  router.post('/:id/like', validate({ params: rules.idParam }), rateLimit(rateLimitStore, RATE_LIMIT_POLICIES.blogLike), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const likes = await incrementPostLikes(id, db);
+      if (likes === null) throw new NotFoundError('Blog post not found');
+
+      const io = req.app.get('io');
+      if (io) io.emit('blog_liked', { postId: id, likes });
+
+      res.json({ likes });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create new blog post (Admin only)
+  router.post('/', isAuthenticated, requirePermission('blog:write'), validate(createPostSchema), invalidateOnWrite(cache, 'blog'), async (req, res, next) => {
+    try {
+      const { author, ...fields } = req.body;
+
+      const slug = fields.title.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)/g, '');
+
+      const post = await db.withTransaction(async (tx) => {
+        const created = await createPost({ ...fields, author_id: author, slug }, tx);
+        await recordRevision(req, { entityType: 'blog_post', entityId: created.id, row: created }, tx);
+        await recordAudit(req, { action: 'create', entityType: 'blog_post', entityId: created.id, after: created }, tx);
+        return created;
+      });
+
+      // Emit real-time update
+      const io = req.app.get('io');
+      if (io) {
+        io.emit('new_blog_post', {
+          id: post.id,
+          title: post.title,
+          status: post.status,
+          author: req.user.email
+        });
       }
-    });
-  } catch (error) {
-    console.error('Blog posts fetch error:', error);
-    res.status(500).json({ message: 'Failed to fetch blog posts', error: error.message });
-  }
-});
-
-// Get single blog post by slug
-router.get('/:slug', async (req, res) => {
-  try {
-    const { slug } = req.params;
-    const posts = await executeQuery(`
-      SELECT id, title, excerpt, content, category, featured_image, author_id as author, published_at, updated_at, views, likes, reading_time, status, tags, featured, slug
-      FROM blog_posts
-      WHERE slug = $1 AND status = 'published'
-    `, [slug]);
-
-    if (!posts || posts.length === 0) return res.status(404).json({ message: 'Blog post not found' });
-
-    const post = posts[0];
-
-    // Increment view count
-    await executeQuery('UPDATE blog_posts SET views = views + 1 WHERE id = $1', [post.id]);
-
-    // Related posts
-    const relatedPosts = await executeQuery(`
-      SELECT id, title, excerpt, featured_image, published_at, reading_time, slug
-      FROM blog_posts
-      WHERE category = $1 AND id != $2 AND status = 'published'
-      ORDER BY published_at DESC
-      LIMIT 3
-    `, [post.category, post.id]);
-
-    res.json({
-      post: {
-        ...post,
-        views: (post.views || 0) + 1
-      },
-      relatedPosts
-    });
-  } catch (error) {
-    console.error('Blog post fetch error:', error);
-    res.status(500).json({ message: 'Failed to fetch blog post', error: error.message });
-  }
-});
-
-// Get blog categories
-router.get('/meta/categories', async (req, res) => {
-  try {
-    const categories = await executeQuery(`
-      SELECT category, COUNT(*)::int as count
-      FROM blog_posts
-      WHERE status = 'published'
-      GROUP BY category
-      ORDER BY count DESC
-    `);
-    res.json(categories);
-  } catch (error) {
-    console.error('Blog categories fetch error:', error);
-    res.status(500).json({ message: 'Failed to fetch blog categories', error: error.message });
-  }
-});
-
-// Get blog statistics
-router.get('/meta/stats', async (req, res) => {
-  try {
-    const [
-      totalPostsRows,
-      totalViewsRows,
-      totalLikesRows,
-      featuredPostsRows,
-      recentPosts
-    ] = await Promise.all([
-      executeQuery(`SELECT COUNT(*)::int as count FROM blog_posts WHERE status = 'published'`),
-      executeQuery(`SELECT COALESCE(SUM(views),0)::int as total FROM blog_posts WHERE status = 'published'`),
-      executeQuery(`SELECT COALESCE(SUM(likes),0)::int as total FROM blog_posts WHERE status = 'published'`),
-      executeQuery(`SELECT COUNT(*)::int as count FROM blog_posts WHERE featured = true AND status = 'published'`),
-      executeQuery(`
-        SELECT title, published_at, views, likes, slug
-        FROM blog_posts
-        WHERE status = 'published'
-        ORDER BY published_at DESC
-        LIMIT 5
-      `)
-    ]);
-
-    res.json({
-      totalPosts: totalPostsRows[0]?.count || 0,
-      totalViews: totalViewsRows[0]?.total || 0,
-      totalLikes: totalLikesRows[0]?.total || 0,
-      featuredPosts: featuredPostsRows[0]?.count || 0,
-      recentPosts
-    });
-  } catch (error) {
-    console.error('Blog stats fetch error:', error);
-    res.status(500).json({ message: 'Failed to fetch blog statistics', error: error.message });
-  }
-});
-
-// Like a blog post
-router.post('/:id/like', async (req, res) => {
-  try {
-    const { id } = req.params;
-    await executeQuery('UPDATE blog_posts SET likes = COALESCE(likes,0) + 1 WHERE id = $1', [id]);
-    const post = await executeQuery('SELECT likes FROM blog_posts WHERE id = $1', [id]);
-    if (!post || post.length === 0) return res.status(404).json({ message: 'Blog post not found' });
-
-    const io = req.app.get('io');
-    if (io) io.emit('blog_liked', { postId: id, likes: post[0].likes });
-
-    res.json({ likes: post[0].likes });
-  } catch (error) {
-    console.error('Blog like error:', error);
-    res.status(500).json({ message: 'Failed to like blog post', error: error.message });
-  }
-});
-
-// Create new blog post (Admin only)
-router.post('/', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const {
-      title,
-      excerpt,
-      content,
-      category,
-      featured_image,
-      author,
-      reading_time,
-      tags,
-      featured = false,
-      status = 'draft'
-    } = req.body;
-
-    const slug = title.toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
-
-    const insertSql = `
-      INSERT INTO blog_posts
-      (title, excerpt, content, category, featured_image, author_id, reading_time, tags, featured, status, slug, published_at, created_at, updated_at)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,CURRENT_TIMESTAMP,CURRENT_TIMESTAMP)
-      RETURNING id
-    `;
-    const tagsValue = tags ? JSON.stringify(tags) : null;
-    const publishedAt = status === 'published' ? new Date() : null;
-
-    const rows = await executeQuery(insertSql, [
-      title, excerpt, content, category, featured_image, author, reading_time, tagsValue, featured, status, slug, publishedAt
-    ]);
-
-    const insertedId = rows[0]?.id;
-
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('new_blog_post', {
-        id: insertedId,
-        title,
-        status,
-        author: req.user.email
+
+      res.status(201).json({
+        id: post.id,
+        message: 'Blog post created successfully',
+        slug
       });
+    } catch (error) {
+      next(error);
     }
+  });
 
-    res.status(201).json({
-      id: insertedId,
-      message: 'Blog post created successfully',
-      slug
-    });
-  } catch (error) {
-    console.error('Blog post creation error:', error);
-    res.status(500).json({ message: 'Failed to create blog post', error: error.message });
-  }
-});
+  // Update blog post (Admin only)
+  router.put('/:id', isAuthenticated, requirePermission('blog:write'), validate(updatePostSchema), invalidateOnWrite(cache, 'blog'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const changes = { ...req.body };
+      if (Object.keys(changes).length === 0) throw new ValidationError('No fields to update');
 
-// Update blog post (Admin only)
-router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
+      if (changes.status === 'published') {
+        changes.published_at = clock.now();
+      }
+
+      await db.withTransaction(async (tx) => {
+        const existing = await findPostForUpdate(id, tx);
+        if (!existing) throw new NotFoundError('Blog post not found');
 
-    if (updateData.status === 'published') {
-      updateData.published_at = new Date();
+        const updated = await updatePost(id, changes, tx);
+        await recordRevision(req, { entityType: 'blog_post', entityId: id, row: updated, previous: existing }, tx);
+        await recordAudit(req, { action: 'update', entityType: 'blog_post', entityId: id, before: existing, after: updated }, tx);
+      });
+
+      const io = req.app.get('io');
+      if (io) io.emit('blog_post_updated', { id, ...req.body, updatedBy: req.user.email });
+
+      res.json({ message: 'Blog post updated successfully' });
+    } catch (error) {
+      next(error);
     }
+  });
 
-    const fields = Object.keys(updateData);
-    const values = Object.values(updateData);
-    if (fields.length === 0) return res.status(400).json({ message: 'No fields to update' });
+  // Revision history and rollback (anyone with blog:write, editors included)
+  router.use('/:id/revisions', invalidateOnWrite(cache, 'blog'), revisionRoutes('blog_post', { db }));
 
-    const setClause = fields.map((f, i) => `${f} = $${i + 1}`).join(', ');
-    const sql = `UPDATE blog_posts SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1}`;
-    await executeQuery(sql, [...values, id]);
+  // Move blog post to the trash (Admin only)
+  router.delete('/:id', isAuthenticated, requirePermission('blog:delete'), validate({ params: rules.idParam }), invalidateOnWrite(cache, 'blog'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-    const io = req.app.get('io');
-    if (io) io.emit('blog_post_updated', { id, ...updateData, updatedBy: req.user.email });
+      await db.withTransaction(async (tx) => {
+        const trashed = await trashPost(id, tx);
+        if (!trashed) throw new NotFoundError('Blog post not found');
 
-    res.json({ message: 'Blog post updated successfully' });
-  } catch (error) {
-    console.error('Blog post update error:', error);
-    res.status(500).json({ message: 'Failed to update blog post', error: error.message });
-  }
-});
+        await recordAudit(req, { action: 'delete', entityType: 'blog_post', entityId: id, after: trashed }, tx);
+      });
 
-// Delete blog post (Admin only)
-router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    await executeQuery('DELETE FROM blog_posts WHERE id = $1', [id]);
+      const io = req.app.get('io');
+      if (io) io.emit('blog_post_deleted', { id, deletedBy: req.user.email });
 
-    const io = req.app.get('io');
-    if (io) io.emit('blog_post_deleted', { id, deletedBy: req.user.email });
+      res.json({ message: 'Blog post moved to trash' });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-    res.json({ message: 'Blog post deleted successfully' });
-  } catch (error) {
-    console.error('Blog post deletion error:', error);
-    res.status(500).json({ message: 'Failed to delete blog post', error: error.message });
-  }
-});
+  return router;
+};
 
-export default router;
+export default blogRoutes;
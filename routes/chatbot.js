@@ -1,8 +1,8 @@
 // routes/chatbot.js
 import express from 'express';
-import { executeQuery } from '../server/db.js';
-
-const router = express.Router();
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, RATE_LIMIT_POLICIES } from '../middleware/rateLimit.js';
 
 // Predefined responses (same as before)
 const responses = {
@@ -34,111 +34,122 @@ function getRandomResponse(category) {
   return categoryResponses[Math.floor(Math.random() * categoryResponses.length)];
 }
 
-router.post('/chat', async (req, res) => {
-  try {
-    const { message, sessionId } = req.body;
-    if (!message || message.trim().length === 0) return res.status(400).json({ error: 'Message is required' });
+const chatSchema = {
+  body: {
+    message: { type: 'string', required: true, maxLength: 1000 },
+    sessionId: { type: 'string', maxLength: 255 }
+  }
+};
 
-    const userMessage = message.trim();
-    const session = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const category = categorizeMessage(userMessage);
-    const botResponse = getRandomResponse(category);
+const chatbotRoutes = ({ db, clock, rateLimitStore }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
 
-    // Store chat history
-    await executeQuery(`
-      INSERT INTO chat_conversations (session_id, user_message, bot_response, category, created_at)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-    `, [session, userMessage, botResponse, category]);
+  router.post('/chat', rateLimit(rateLimitStore, RATE_LIMIT_POLICIES.chatbot), validate(chatSchema), async (req, res, next) => {
+    try {
+      const { message, sessionId } = req.body;
 
-    // Update chat_stats (upsert)
-    // chat_stats.date is unique (as per db schema). We increment total_messages.
-    // unique_sessions increment if this is the first message for this session today.
-    const upsertSql = `
-      INSERT INTO chat_stats (date, total_messages, unique_sessions, created_at)
-      VALUES (CURRENT_DATE, 1, 1, CURRENT_TIMESTAMP)
-      ON CONFLICT (date) DO UPDATE
-      SET total_messages = chat_stats.total_messages + 1,
-          unique_sessions = chat_stats.unique_sessions +
-            (CASE
-              WHEN (
-                SELECT COUNT(*) FROM chat_conversations
-                WHERE session_id = $1 AND DATE(created_at) = CURRENT_DATE
-              ) = 1 THEN 1 ELSE 0 END)
-    `;
-    await executeQuery(upsertSql, [session]);
+      const userMessage = message;
+      const session = sessionId || `session_${clock.now().getTime()}_${Math.random().toString(36).substr(2, 9)}`;
+      const category = categorizeMessage(userMessage);
+      const botResponse = getRandomResponse(category);
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('new_chat_message', {
-        sessionId: session,
-        message: userMessage,
+      // Store chat history
+      await db.query(`
+        INSERT INTO chat_conversations (session_id, user_message, bot_response, category, created_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      `, [session, userMessage, botResponse, category]);
+
+      // Update chat_stats (upsert)
+      // chat_stats.date is unique (as per db schema). We increment total_messages.
+      // unique_sessions increment if this is the first message for this session today.
+      const upsertSql = `
+        INSERT INTO chat_stats (date, total_messages, unique_sessions, created_at)
+        VALUES (CURRENT_DATE, 1, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (date) DO UPDATE
+        SET total_messages = chat_stats.total_messages + 1,
+            unique_sessions = chat_stats.unique_sessions +
+              (CASE
+                WHEN (
+                  SELECT COUNT(*) FROM chat_conversations
+                  WHERE session_id = $1 AND DATE(created_at) = CURRENT_DATE
+                ) = 1 THEN 1 ELSE 0 END)
+      `;
+      await db.query(upsertSql, [session]);
+
+      // Emit real-time update
+      const io = req.app.get('io');
+      if (io) {
+        io.emit('new_chat_message', {
+          sessionId: session,
+          message: userMessage,
+          response: botResponse,
+          category,
+          timestamp: clock.now()
+        });
+      }
+
+      res.json({
         response: botResponse,
+        sessionId: session,
         category,
-        timestamp: new Date()
+        timestamp: clock.now()
       });
+    } catch (error) {
+      next(error);
     }
+  });
 
-    res.json({
-      response: botResponse,
-      sessionId: session,
-      category,
-      timestamp: new Date()
-    });
-  } catch (error) {
-    console.error('Chatbot error:', error);
-    res.status(500).json({ error: 'Failed to process chat message', detail: error.message });
-  }
-});
+  // Get chat statistics
+  router.get('/stats', isAuthenticated, requirePermission('analytics:read'), async (req, res, next) => {
+    try {
+      const [
+        totalChatsRows,
+        todayChatsRows,
+        uniqueSessionsRows,
+        popularCategoriesRows,
+        recentChatsRows,
+        chatTrendRows
+      ] = await Promise.all([
+        db.query('SELECT COUNT(*)::int as count FROM chat_conversations'),
+        db.query('SELECT COUNT(*)::int as count FROM chat_conversations WHERE DATE(created_at) = CURRENT_DATE'),
+        db.query('SELECT COUNT(DISTINCT session_id)::int as count FROM chat_conversations'),
+        db.query(`
+          SELECT category, COUNT(*)::int as count
+          FROM chat_conversations
+          GROUP BY category
+          ORDER BY count DESC
+          LIMIT 5
+        `),
+        db.query(`
+          SELECT user_message, bot_response, category, created_at
+          FROM chat_conversations
+          ORDER BY created_at DESC
+          LIMIT 10
+        `),
+        db.query(`
+          SELECT DATE(created_at) as date, COUNT(*)::int as count
+          FROM chat_conversations
+          WHERE created_at >= (CURRENT_DATE - INTERVAL '7 days')
+          GROUP BY DATE(created_at)
+          ORDER BY date DESC
+        `)
+      ]);
 
-// Get chat statistics
-router.get('/stats', async (req, res) => {
-  try {
-    const [
-      totalChatsRows,
-      todayChatsRows,
-      uniqueSessionsRows,
-      popularCategoriesRows,
-      recentChatsRows,
-      chatTrendRows
-    ] = await Promise.all([
-      executeQuery('SELECT COUNT(*)::int as count FROM chat_conversations'),
-      executeQuery('SELECT COUNT(*)::int as count FROM chat_conversations WHERE DATE(created_at) = CURRENT_DATE'),
-      executeQuery('SELECT COUNT(DISTINCT session_id)::int as count FROM chat_conversations'),
-      executeQuery(`
-        SELECT category, COUNT(*)::int as count
-        FROM chat_conversations
-        GROUP BY category
-        ORDER BY count DESC
-        LIMIT 5
-      `),
-      executeQuery(`
-        SELECT user_message, bot_response, category, created_at
-        FROM chat_conversations
-        ORDER BY created_at DESC
-        LIMIT 10
-      `),
-      executeQuery(`
-        SELECT DATE(created_at) as date, COUNT(*)::int as count
-        FROM chat_conversations
-        WHERE created_at >= (CURRENT_DATE - INTERVAL '7 days')
-        GROUP BY DATE(created_at)
-        ORDER BY date DESC
-      `)
-    ]);
+      res.json({
+        totalChats: totalChatsRows[0]?.count || 0,
+        todayChats: todayChatsRows[0]?.count || 0,
+        uniqueSessions: uniqueSessionsRows[0]?.count || 0,
+        popularCategories: popularCategoriesRows,
+        recentChats: recentChatsRows,
+        chatTrend: chatTrendRows
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-    res.json({
-      totalChats: totalChatsRows[0]?.count || 0,
-      todayChats: todayChatsRows[0]?.count || 0,
-      uniqueSessions: uniqueSessionsRows[0]?.count || 0,
-      popularCategories: popularCategoriesRows,
-      recentChats: recentChatsRows,
-      chatTrend: chatTrendRows
-    });
-  } catch (error) {
-    console.error('Chat stats error:', error);
-    res.status(500).json({ error: 'Failed to fetch chat statistics', detail: error.message });
-  }
-});
+  return router;
+};
 
-export default router;
+export default chatbotRoutes;
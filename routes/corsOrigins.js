@@ -0,0 +1,87 @@
+// routes/corsOrigins.js - Admin-managed part of the CORS allowlist
+import express from 'express';
+import { listCorsOrigins, addCorsOrigin, removeCorsOrigin } from '../server/cors.js';
+import { compileOriginPattern } from '../server/originPattern.js';
+import { recordAudit } from '../server/audit.js';
+import { NotFoundError, ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, strict, rules } from '../middleware/validate.js';
+
+const createOriginSchema = {
+  body: strict({
+    pattern: { type: 'string', required: true, maxLength: 255 },
+    note: { type: 'string', maxLength: 255 }
+  })
+};
+
+const checkOriginSchema = {
+  body: strict({
+    origin: { type: 'string', required: true, maxLength: 255 }
+  })
+};
+
+const corsOriginRoutes = ({ db, originPolicy }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated, requirePermission('cors:manage'));
+
+  // Current policy: mode, origins from config and origins added here
+  router.get('/', async (req, res, next) => {
+    try {
+      const origins = await listCorsOrigins(db);
+      res.json({ mode: originPolicy.mode, configured: originPolicy.configuredOrigins(), origins });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Test an origin against the policy before relying on it
+  router.post('/check', validate(checkOriginSchema), async (req, res, next) => {
+    try {
+      const result = await originPolicy.check(req.body.origin);
+      res.json({ origin: req.body.origin, mode: originPolicy.mode, ...result });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Allow an origin or wildcard pattern
+  router.post('/', validate(createOriginSchema), async (req, res, next) => {
+    try {
+      let pattern;
+      try {
+        pattern = compileOriginPattern(req.body.pattern).pattern;
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+
+      const origin = await addCorsOrigin({ pattern, note: req.body.note, createdBy: req.user.id }, db);
+      await recordAudit(req, { action: 'create', entityType: 'cors_origin', entityId: origin.id, after: origin }, db);
+      originPolicy.invalidate();
+
+      res.status(201).json(origin);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Stop allowing an origin
+  router.delete('/:id', validate({ params: rules.idParam }), async (req, res, next) => {
+    try {
+      const removed = await removeCorsOrigin(req.params.id, db);
+      if (!removed) throw new NotFoundError('CORS origin not found');
+
+      await recordAudit(req, { action: 'delete', entityType: 'cors_origin', entityId: removed.id, before: removed }, db);
+      originPolicy.invalidate();
+
+      res.json({ message: 'CORS origin removed', id: removed.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default corsOriginRoutes;
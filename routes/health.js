@@ -0,0 +1,50 @@
+// routes/health.js - Health probes (mounted at /api/health)
+import express from 'express';
+import { createReadinessCheck } from '../server/health.js';
+import config from '../config/env.js';
+
+const exposeReasons = () => config.isDevelopment;
+
+const healthRoutes = ({ db, mailer, storage, githubClient, clock, lifecycle }) => {
+  const router = express.Router();
+  const checkReadiness = createReadinessCheck({ db, mailer, storage, githubClient, lifecycle });
+
+  // Basic status, kept for existing monitors
+  router.get('/', (req, res) => {
+    res.json({
+      status: 'OK',
+      database: 'PostgreSQL',
+      environment: config.nodeEnv,
+      timestamp: clock.now().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  // Liveness: the process is up and serving requests
+  router.get('/live', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime(), timestamp: clock.now().toISOString() });
+  });
+
+  // Readiness: startup finished and every required dependency answers.
+  // 503 when not ready; optional dependencies only degrade the status.
+  router.get('/ready', async (req, res, next) => {
+    try {
+      const readiness = await checkReadiness();
+
+      // Failure reasons can name internal hosts, so outside development they only go to the logs
+      for (const [name, check] of Object.entries(readiness.checks)) {
+        if (check.status === 'down') req.log.warn('Dependency check failed', { dependency: name, reason: check.error });
+        if (!exposeReasons()) delete check.error;
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.status(readiness.ready ? 200 : 503).json({ ...readiness, timestamp: clock.now().toISOString() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default healthRoutes;
@@ -1,152 +1,115 @@
 import express from 'express';
-import { executeQuery } from '../server/db.js';
-import { isAuthenticated, isAdmin } from '../middleware/middleware.js';
-
-const router = express.Router();
-
-// Get all journey/experience items
-router.get('/', async (req, res) => {
-  try {
-    const journey = await executeQuery(`
-      SELECT * FROM journey_items 
-      ORDER BY start_date DESC
-    `);
-    
-    res.json(journey || []);
-  } catch (error) {
-    console.error('Journey fetch error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch journey items', 
-      error: error.message 
-    });
-  }
-});
-
-// Get single journey item
-router.get('/:id', async (req, res) => {
-  try {
-    const items = await executeQuery(
-      'SELECT * FROM journey_items WHERE id = $1',
-      [req.params.id]
-    );
-    
-    if (!items || items.length === 0) {
-      return res.status(404).json({ message: 'Journey item not found' });
+import { recordAudit } from '../server/audit.js';
+import {
+  listJourneyItems,
+  findJourneyItemById,
+  findJourneyItemForUpdate,
+  createJourneyItem,
+  updateJourneyItem,
+  trashJourneyItem
+} from '../server/repositories/journey.js';
+import { NotFoundError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, strict, rules } from '../middleware/validate.js';
+import { cachedResponse, invalidateOnWrite } from '../middleware/httpCache.js';
+
+const JOURNEY_TYPES = ['education', 'work', 'project', 'achievement'];
+
+const journeyFields = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  company: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string' },
+  start_date: { type: 'date', required: true },
+  end_date: { type: 'date' },
+  type: { type: 'enum', required: true, values: JOURNEY_TYPES }
+};
+
+const createJourneySchema = { body: journeyFields };
+const updateJourneySchema = { params: rules.idParam, body: strict(journeyFields) };
+const idSchema = { params: rules.idParam };
+
+const journeyRoutes = ({ db, cache }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(invalidateOnWrite(cache, 'journey'));
+
+  // Get all journey/experience items
+  router.get('/', cachedResponse(cache, 'journey'), async (req, res, next) => {
+    try {
+      const journey = await listJourneyItems(db);
+      res.json(journey);
+    } catch (error) {
+      next(error);
     }
-    
-    res.json(items[0]);
-  } catch (error) {
-    console.error('Journey item fetch error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch journey item', 
-      error: error.message 
-    });
-  }
-});
-
-// Create journey item (Admin only)
-router.post('/', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { 
-      title, 
-      company, 
-      description, 
-      start_date, 
-      end_date, 
-      type 
-    } = req.body;
-    
-    if (!title || !company || !start_date || !type) {
-      return res.status(400).json({ 
-        message: 'Title, company, start_date, and type are required' 
+  });
+
+  // Get single journey item
+  router.get('/:id', validate(idSchema), cachedResponse(cache, 'journey'), async (req, res, next) => {
+    try {
+      const item = await findJourneyItemById(req.params.id, db);
+      if (!item) throw new NotFoundError('Journey item not found');
+
+      res.json(item);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create journey item (Admin only)
+  router.post('/', isAuthenticated, requirePermission('journey:write'), validate(createJourneySchema), async (req, res, next) => {
+    try {
+      const item = await db.withTransaction(async (tx) => {
+        const created = await createJourneyItem(req.body, tx);
+        await recordAudit(req, { action: 'create', entityType: 'journey_item', entityId: created.id, after: created }, tx);
+        return created;
       });
+
+      res.status(201).json(item);
+    } catch (error) {
+      next(error);
     }
-    
-    const result = await executeQuery(`
-      INSERT INTO journey_items 
-      (title, company, description, start_date, end_date, type, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-      RETURNING id
-    `, [title, company, description, start_date, end_date || null, type]);
-    
-    const newItem = {
-      id: result[0].id,
-      title,
-      company,
-      description,
-      start_date,
-      end_date,
-      type,
-      created_at: new Date()
-    };
-    
-    res.status(201).json(newItem);
-  } catch (error) {
-    console.error('Journey creation error:', error);
-    res.status(500).json({ 
-      message: 'Failed to create journey item', 
-      error: error.message 
-    });
-  }
-});
-
-// Update journey item (Admin only)
-router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { 
-      title, 
-      company, 
-      description, 
-      start_date, 
-      end_date, 
-      type 
-    } = req.body;
-    
-    await executeQuery(`
-      UPDATE journey_items 
-      SET title = $1, company = $2, description = $3, 
-          start_date = $4, end_date = $5, type = $6, 
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $7
-    `, [title, company, description, start_date, end_date || null, type, id]);
-    
-    const updatedItem = {
-      id,
-      title,
-      company,
-      description,
-      start_date,
-      end_date,
-      type,
-      updated_at: new Date()
-    };
-    
-    res.json(updatedItem);
-  } catch (error) {
-    console.error('Journey update error:', error);
-    res.status(500).json({ 
-      message: 'Failed to update journey item', 
-      error: error.message 
-    });
-  }
-});
-
-// Delete journey item (Admin only)
-router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    await executeQuery('DELETE FROM journey_items WHERE id = $1', [id]);
-    
-    res.json({ message: 'Journey item deleted successfully', id });
-  } catch (error) {
-    console.error('Journey deletion error:', error);
-    res.status(500).json({ 
-      message: 'Failed to delete journey item', 
-      error: error.message 
-    });
-  }
-});
-
-export default router;
\ No newline at end of file
+  });
+
+  // Update journey item (Admin only)
+  router.put('/:id', isAuthenticated, requirePermission('journey:write'), validate(updateJourneySchema), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const item = await db.withTransaction(async (tx) => {
+        const existing = await findJourneyItemForUpdate(id, tx);
+        if (!existing) throw new NotFoundError('Journey item not found');
+
+        const updated = await updateJourneyItem(id, req.body, tx);
+        await recordAudit(req, { action: 'update', entityType: 'journey_item', entityId: id, before: existing, after: updated }, tx);
+        return updated;
+      });
+
+      res.json(item);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Move journey item to the trash (Admin only)
+  router.delete('/:id', isAuthenticated, requirePermission('journey:delete'), validate(idSchema), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      await db.withTransaction(async (tx) => {
+        const trashed = await trashJourneyItem(id, tx);
+        if (!trashed) throw new NotFoundError('Journey item not found');
+
+        await recordAudit(req, { action: 'delete', entityType: 'journey_item', entityId: id, after: trashed }, tx);
+      });
+
+      res.json({ message: 'Journey item moved to trash', id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default journeyRoutes;
\ No newline at end of file
@@ -0,0 +1,20 @@
+// routes/metrics.js - Prometheus scrape endpoint (mounted at /api/metrics)
+import express from 'express';
+import { METRICS_CONTENT_TYPE } from '../server/metrics.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+
+const metricsRoutes = ({ db, metrics }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  // Metrics in the Prometheus text format. Scrape with an API key that has the
+  // system:read scope, sent as "Authorization: Bearer <key>".
+  router.get('/', isAuthenticated, requirePermission('system:read'), (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+  });
+
+  return router;
+};
+
+export default metricsRoutes;
@@ -5,16 +5,28 @@ import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
 
-import { executeQuery } from '../server/db.js';
-import { isAuthenticated, isAdmin } from '../middleware/middleware.js';
-
-const router = express.Router();
+import { recordAudit } from '../server/audit.js';
+import { recordRevision } from '../server/revisions.js';
+import logger from '../server/logger.js';
+import {
+  listProjects,
+  findProjectById,
+  findProjectForUpdate,
+  createProject,
+  updateProject,
+  trashProject
+} from '../server/repositories/projects.js';
+import { NotFoundError, ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, strict, rules } from '../middleware/validate.js';
+import { cachedResponse, invalidateOnWrite } from '../middleware/httpCache.js';
+import revisionRoutes from './revisions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadDir = path.join(__dirname, '..', 'Uploads', 'projects');
     if (!fs.existsSync(uploadDir)) {
@@ -29,207 +41,217 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage,
+  storage: uploadStorage,
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
+      return cb(new ValidationError('Only image files are allowed'), false);
     }
     cb(null, true);
   }
 });
 
-// Get all projects
-router.get('/', async (req, res) => {
-  try {
-    const projects = await executeQuery('SELECT * FROM projects ORDER BY createdAt DESC');
-    if (!projects) {
-      console.error('No projects returned from database');
-      return res.status(500).json({ message: 'Failed to fetch projects: No data returned' });
-    }
-    const formattedProjects = projects.map(project => ({
-      ...project,
-      imageUrl: project.imageurl || project.imageUrl,
-      cloudinary_public_id: project.cloudinary_public_id,
-      repoLink: project.repolink || project.repoLink,
-      liveLink: project.livelink || project.liveLink,
-      technologies: typeof project.technologies === 'string'
-        ? project.technologies.split(',').map(tech => tech.trim())
-        : project.technologies || []
-    }));
-    res.status(200).json(formattedProjects);
-  } catch (error) {
-    console.error('Error fetching projects:', error.message, error.stack);
-    res.status(500).json({ message: 'Server error while fetching projects', error: error.message });
+const projectFields = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', required: true },
+  technologies: { type: 'array', required: true, minLength: 1, items: { type: 'string', maxLength: 100 } },
+  repoLink: { type: 'url', maxLength: 255 },
+  liveLink: { type: 'url', maxLength: 255 }
+};
+
+// Multipart bodies are only parsed by multer, so these run after upload.single()
+const createProjectSchema = { body: projectFields };
+const updateProjectSchema = { params: rules.idParam, body: strict(projectFields) };
+const idSchema = { params: rules.idParam };
+
+const removeLocalUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlink(file.path, () => {});
   }
-});
+};
 
-// Get single project by ID
-router.get('/:id', async (req, res) => {
+// Best effort: a leftover Cloudinary image must never fail the request
+const discardCloudinaryImage = async (publicId, storage) => {
   try {
-    const projects = await executeQuery('SELECT * FROM projects WHERE id = $1', [req.params.id]);
-    if (!projects || projects.length === 0) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-    const project = projects[0];
-    project.imageUrl = project.imageurl || project.imageUrl;
-    project.cloudinary_public_id = project.cloudinary_public_id;
-    project.technologies = typeof project.technologies === 'string'
-      ? project.technologies.split(',').map(tech => tech.trim())
-      : project.technologies || [];
-    res.status(200).json(project);
+    await storage.remove(publicId);
   } catch (error) {
-    console.error('Error fetching project:', error.message, error.stack);
-    res.status(500).json({ message: 'Server error while fetching project', error: error.message });
+    logger.error('Cloudinary cleanup error', { publicId, reason: error.message });
   }
-});
+};
 
-// Create a new project (admin only)
-router.post('/', isAuthenticated, isAdmin, upload.single('projectImage'), async (req, res) => {
-  try {
-    const { title, description, technologies, repoLink, liveLink } = req.body;
-    if (!title || !description || !technologies) {
-      return res.status(400).json({ message: 'Title, description, and technologies are required' });
-    }
-    
-    let imageUrl = null;
-    let cloudinaryPublicId = null;
-    
-    // Upload to Cloudinary if image exists
-    if (req.file) {
-      const { uploadToCloudinary } = await import('../config/cloudinary.js');
-      const uploadResult = await uploadToCloudinary(req.file.path, 'portfolio/projects');
-      imageUrl = uploadResult.url;
-      cloudinaryPublicId = uploadResult.publicId;
-      
-      // Delete local file after upload
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-    }
-    
-    const techString = Array.isArray(technologies) ? technologies.join(',') : technologies;
-    const result = await executeQuery(
-      'INSERT INTO projects (title, description, technologies, repolink, livelink, imageurl, cloudinary_public_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, createdat',
-      [title, description, techString, repoLink || null, liveLink || null, imageUrl, cloudinaryPublicId]
-    );
-    
-    const newProject = {
-      id: result[0].id,
-      title,
-      description,
-      technologies: techString.split(',').map(tech => tech.trim()),
-      repoLink,
-      liveLink,
-      imageUrl,
-      createdAt: result[0].createdat
-    };
-    
-    res.status(201).json(newProject);
-  } catch (error) {
-    console.error('Error creating project:', error.message, error.stack);
-    
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+const uploadProjectImage = async (file, storage) => {
+  const uploadResult = await storage.upload(file.path, 'portfolio/projects');
+  // Delete local file after upload
+  removeLocalUpload(file);
+  return uploadResult;
+};
+
+const projectRoutes = ({ db, storage, clock, cache }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(invalidateOnWrite(cache, 'projects'));
+
+  // Get all projects
+  router.get('/', cachedResponse(cache, 'projects'), async (req, res, next) => {
+    try {
+      const projects = await listProjects(db);
+      const formattedProjects = projects.map(project => ({
+        ...project,
+        imageUrl: project.imageurl || project.imageUrl,
+        cloudinary_public_id: project.cloudinary_public_id,
+        repoLink: project.repolink || project.repoLink,
+        liveLink: project.livelink || project.liveLink,
+        technologies: typeof project.technologies === 'string'
+          ? project.technologies.split(',').map(tech => tech.trim())
+          : project.technologies || []
+      }));
+      res.status(200).json(formattedProjects);
+    } catch (error) {
+      next(error);
     }
-    
-    res.status(500).json({ message: 'Server error while creating project', error: error.message });
-  }
-}); 
+  });
 
-// Update a project (admin only)
-router.put('/:id', isAuthenticated, isAdmin, upload.single('projectImage'), async (req, res) => {
-  try {
-    const { title, description, technologies, repoLink, liveLink } = req.body;
-    const projectId = req.params.id;
-    
-    if (!title || !description || !technologies) {
-      return res.status(400).json({ message: 'Title, description, and technologies are required' });
+  // Get single project by ID
+  router.get('/:id', validate(idSchema), cachedResponse(cache, 'projects'), async (req, res, next) => {
+    try {
+      const project = await findProjectById(req.params.id, db);
+      if (!project) throw new NotFoundError('Project not found');
+
+      project.imageUrl = project.imageurl || project.imageUrl;
+      project.cloudinary_public_id = project.cloudinary_public_id;
+      project.technologies = typeof project.technologies === 'string'
+        ? project.technologies.split(',').map(tech => tech.trim())
+        : project.technologies || [];
+      res.status(200).json(project);
+    } catch (error) {
+      next(error);
     }
-    
-    const existingProjects = await executeQuery('SELECT * FROM projects WHERE id = $1', [projectId]);
-    if (!existingProjects || existingProjects.length === 0) {
-      return res.status(404).json({ message: 'Project not found' });
+  });
+
+  // Create a new project (admin only)
+  router.post('/', isAuthenticated, requirePermission('projects:write'), upload.single('projectImage'), validate(createProjectSchema), async (req, res, next) => {
+    let uploaded = null;
+    try {
+      const { title, description, technologies, repoLink, liveLink } = req.body;
+
+      // Upload to Cloudinary if image exists
+      if (req.file) {
+        uploaded = await uploadProjectImage(req.file, storage);
+      }
+
+      const project = await db.withTransaction(async (tx) => {
+        const created = await createProject({
+          title,
+          description,
+          technologies,
+          repoLink,
+          liveLink,
+          imageUrl: uploaded?.url,
+          cloudinaryPublicId: uploaded?.publicId
+        }, tx);
+        await recordRevision(req, { entityType: 'project', entityId: created.id, row: created }, tx);
+        await recordAudit(req, { action: 'create', entityType: 'project', entityId: created.id, after: created }, tx);
+        return created;
+      });
+
+      res.status(201).json({
+        id: project.id,
+        title,
+        description,
+        technologies,
+        repoLink,
+        liveLink,
+        imageUrl: project.imageurl,
+        createdAt: project.createdat
+      });
+    } catch (error) {
+      // Clean up uploaded file on error
+      removeLocalUpload(req.file);
+      // The insert was rolled back, so nothing points at the new image
+      if (uploaded) await discardCloudinaryImage(uploaded.publicId, storage);
+      next(error);
     }
-    const existingProject = existingProjects[0];
-    
-    let imageUrl = existingProject.imageurl;
-    let cloudinaryPublicId = existingProject.cloudinary_public_id;
-    
-    // Upload new image to Cloudinary if provided
-    if (req.file) {
-      const { uploadToCloudinary, deleteFromCloudinary } = await import('../config/cloudinary.js');
-      
-      // Delete old image from Cloudinary
-      if (existingProject.cloudinary_public_id) {
-        await deleteFromCloudinary(existingProject.cloudinary_public_id);
+  });
+
+  // Update a project (admin only)
+  router.put('/:id', isAuthenticated, requirePermission('projects:write'), upload.single('projectImage'), validate(updateProjectSchema), async (req, res, next) => {
+    let uploaded = null;
+    try {
+      const { title, description, technologies, repoLink, liveLink } = req.body;
+      const projectId = req.params.id;
+
+      // Check before uploading anything for a project that doesn't exist
+      if (!await findProjectById(projectId, db)) throw new NotFoundError('Project not found');
+
+      // Upload new image to Cloudinary if provided
+      if (req.file) {
+        uploaded = await uploadProjectImage(req.file, storage);
       }
-      
-      // Upload new image
-      const uploadResult = await uploadToCloudinary(req.file.path, 'portfolio/projects');
-      imageUrl = uploadResult.url;
-      cloudinaryPublicId = uploadResult.publicId;
-      
-      // Delete local file after upload
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
+
+      const { previous, project } = await db.withTransaction(async (tx) => {
+        const previous = await findProjectForUpdate(projectId, tx);
+        if (!previous) throw new NotFoundError('Project not found');
+
+        const project = await updateProject(projectId, {
+          title,
+          description,
+          technologies,
+          repoLink,
+          liveLink,
+          imageUrl: uploaded ? uploaded.url : previous.imageurl,
+          cloudinaryPublicId: uploaded ? uploaded.publicId : previous.cloudinary_public_id
+        }, tx);
+        await recordRevision(req, { entityType: 'project', entityId: projectId, row: project, previous }, tx);
+        await recordAudit(req, { action: 'update', entityType: 'project', entityId: projectId, before: previous, after: project }, tx);
+        return { previous, project };
+      });
+
+      // The replaced image is only deleted once the new one is committed
+      if (uploaded && previous.cloudinary_public_id) {
+        await discardCloudinaryImage(previous.cloudinary_public_id, storage);
       }
-    }
-    
-    const techString = Array.isArray(technologies) ? technologies.join(',') : technologies;
-    await executeQuery(
-      'UPDATE projects SET title = $1, description = $2, technologies = $3, repolink = $4, livelink = $5, imageurl = $6, cloudinary_public_id = $7 WHERE id = $8',
-      [title, description, techString, repoLink || null, liveLink || null, imageUrl, cloudinaryPublicId, projectId]
-    );
-    
-    const updatedProject = {
-      id: parseInt(projectId),
-      title,
-      description,
-      technologies: techString.split(',').map(tech => tech.trim()),
-      repoLink,
-      liveLink,
-      imageUrl,
-      updatedAt: new Date()
-    };
-    
-    res.status(200).json(updatedProject);
-  } catch (error) {
-    console.error('Error updating project:', error.message, error.stack);
-    
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
-    res.status(500).json({ message: 'Server error while updating project', error: error.message });
-  }
-});
 
-// Delete a project (admin only)
-router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const projectId = req.params.id;
-    
-    const projects = await executeQuery('SELECT * FROM projects WHERE id = $1', [projectId]);
-    if (!projects || projects.length === 0) {
-      return res.status(404).json({ message: 'Project not found' });
+      res.status(200).json({
+        id: projectId,
+        title,
+        description,
+        technologies,
+        repoLink,
+        liveLink,
+        imageUrl: project.imageurl,
+        updatedAt: clock.now()
+      });
+    } catch (error) {
+      // Clean up uploaded file on error
+      removeLocalUpload(req.file);
+      if (uploaded) await discardCloudinaryImage(uploaded.publicId, storage);
+      next(error);
     }
-    const project = projects[0];
-    
-    // Delete from Cloudinary if public_id exists
-    if (project.cloudinary_public_id) {
-      const { deleteFromCloudinary } = await import('../config/cloudinary.js');
-      await deleteFromCloudinary(project.cloudinary_public_id);
+  });
+
+  // Revision history and rollback (anyone with projects:write, editors included)
+  router.use('/:id/revisions', revisionRoutes('project', { db }));
+
+  // Move a project to the trash (admin only); the image is kept until it is purged
+  router.delete('/:id', isAuthenticated, requirePermission('projects:delete'), validate(idSchema), async (req, res, next) => {
+    try {
+      const projectId = req.params.id;
+
+      await db.withTransaction(async (tx) => {
+        const trashed = await trashProject(projectId, tx);
+        if (!trashed) throw new NotFoundError('Project not found');
+
+        await recordAudit(req, { action: 'delete', entityType: 'project', entityId: projectId, after: trashed }, tx);
+      });
+
+      res.status(200).json({ message: 'Project moved to trash', id: projectId });
+    } catch (error) {
+      next(error);
     }
-    
-    await executeQuery('DELETE FROM projects WHERE id = $1', [projectId]);
-    
-    res.status(200).json({ message: 'Project deleted successfully', id: projectId });
-  } catch (error) {
-    console.error('Error deleting project:', error.message, error.stack);
-    res.status(500).json({ message: 'Server error while deleting project', error: error.message });
-  }
-});
-export default router;
\ No newline at end of file
+  });
+
+  return router;
+};
+
+export default projectRoutes;
@@ -0,0 +1,88 @@
+// routes/revisions.js - Revision history of a content item
+//
+// Mounted under an item route, e.g. router.use('/:id/revisions', revisionRoutes('blog_post', deps))
+import express from 'express';
+import { REVISION_TYPES, listRevisions, getRevision, diffRevisions, restoreRevision } from '../server/revisions.js';
+import { NotFoundError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, rules } from '../middleware/validate.js';
+
+const listSchema = { params: rules.idParam, query: rules.pagination(20, 100) };
+
+const diffSchema = {
+  params: rules.idParam,
+  query: {
+    from: { type: 'integer', required: true, min: 1 },
+    to: { type: 'integer', required: true, min: 1 }
+  }
+};
+
+const revisionSchema = {
+  params: { ...rules.idParam, revision: { type: 'integer', required: true, min: 1 } }
+};
+
+/**
+ * Router for the revisions of one content type
+ * @param {string} entityType - Key of REVISION_TYPES
+ * @param {Object} deps - { db }
+ * @returns {express.Router}
+ */
+const revisionRoutes = (entityType, { db }) => {
+  const router = express.Router({ mergeParams: true });
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated, requirePermission(REVISION_TYPES[entityType].permission));
+
+  // List revisions, newest first
+  router.get('/', validate(listSchema), async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const { revisions, total } = await listRevisions(entityType, req.params.id, { limit, offset: (page - 1) * limit }, db);
+
+      res.json({
+        revisions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Unified diff between two revisions
+  router.get('/diff', validate(diffSchema), async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+      res.json(await diffRevisions(entityType, req.params.id, from, to, db));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a single revision with its data
+  router.get('/:revision', validate(revisionSchema), async (req, res, next) => {
+    try {
+      const revision = await getRevision(entityType, req.params.id, req.params.revision, db);
+      if (!revision) throw new NotFoundError('Revision not found');
+
+      res.json(revision);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Roll the item back to a revision; the result is saved as a new revision
+  router.post('/:revision/restore', validate(revisionSchema), async (req, res, next) => {
+    try {
+      const { id, revision } = req.params;
+      const { revision: newRevision } = await restoreRevision(req, entityType, id, revision, db);
+
+      res.json({ message: `Revision ${revision} restored`, id, revision: newRevision });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default revisionRoutes;
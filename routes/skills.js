@@ -5,10 +5,19 @@ import fs from "fs";
 import { v4 as uuidv4 } from "uuid";
 import { fileURLToPath } from "url";
 
-import { executeQuery } from "../server/db.js";
-import { isAuthenticated, isAdmin } from "../middleware/middleware.js";
-
-const router = express.Router();
+import { recordAudit } from "../server/audit.js";
+import logger from "../server/logger.js";
+import {
+  listSkills,
+  findSkillForUpdate,
+  createSkill,
+  updateSkill,
+  trashSkill
+} from "../server/repositories/skills.js";
+import { NotFoundError, ValidationError } from "../server/errors.js";
+import { createAuthentication, requirePermission } from "../middleware/middleware.js";
+import { validate, strict, rules } from "../middleware/validate.js";
+import { cachedResponse, invalidateOnWrite } from "../middleware/httpCache.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,155 +42,157 @@ const uploadSkillIcon = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     if (!file.mimetype.startsWith("image/")) {
-      return cb(new Error("Only image files allowed!"), false);
+      return cb(new ValidationError("Only image files are allowed"), false);
     }
     cb(null, true);
   }
 });
 
-// Get All Skills
-router.get("/", async (req, res) => {
-  try {
-    const skills = await executeQuery("SELECT * FROM skills ORDER BY createdAt DESC");
-
-    // PostgreSQL returns lowercase column names, so map iconurl -> iconUrl
-    const formatted = skills.map(s => ({
-      id: s.id,
-      name: s.name,
-      level: s.level,
-      category: s.category,
-      iconUrl: s.iconurl, // PostgreSQL returns as 'iconurl'
-      createdAt: s.createdat,
-      updatedAt: s.updatedat
-    }));
-
-    res.status(200).json(formatted);
-  } catch (error) {
-    console.error("Error fetching skills:", error);
-    res.status(500).json({ message: "Server error while fetching skills", error: error.message });
-  }
-});
+const SKILL_LEVELS = ["Beginner", "Intermediate", "Expert"];
 
-// Add New Skill
-router.post("/", isAuthenticated, isAdmin, uploadSkillIcon.single("iconFile"), async (req, res) => {
-  try {
-    const { name, level, category } = req.body;
+const skillFields = {
+  name: { type: "string", required: true, maxLength: 100 },
+  level: { type: "enum", required: true, values: SKILL_LEVELS },
+  category: { type: "string", required: true, maxLength: 100 }
+};
 
-    if (!name || !level || !category) {
-      return res.status(400).json({ message: "Name, level, and category are required" });
-    }
+// Validated after uploadSkillIcon so the multipart body is available
+const iconPathFor = (iconUrl) => (
+  iconUrl ? path.join(__dirname, "..", "Uploads", "skills", path.basename(iconUrl)) : null
+);
 
-    let iconUrl = null;
-    if (req.file) {
-      iconUrl = `/Uploads/skills/${req.file.filename}`;
-    }
-
-    const result = await executeQuery(
-      "INSERT INTO skills (name, level, category, iconUrl) VALUES ($1, $2, $3, $4) RETURNING id, createdAt",
-      [name, level, category, iconUrl]
-    );
-
-    const newSkill = {
-      id: result[0].id,
-      name,
-      level,
-      category,
-      iconUrl,
-      createdAt: result[0].createdAt,
-    };
-
-    res.status(201).json(newSkill);
+// Best effort: a leftover file must never fail the request
+const removeIcon = (iconUrl) => {
+  const iconPath = iconPathFor(iconUrl);
+  if (!iconPath || !fs.existsSync(iconPath)) return;
+  try {
+    fs.unlinkSync(iconPath);
   } catch (error) {
-    console.error("Error adding new skill:", error);
-    res.status(500).json({ message: "Server error while adding skill", error: error.message });
+    logger.error('Skill icon removal error', { reason: error.message });
   }
-});
-
-// Update Skill
-router.put("/:id", isAuthenticated, isAdmin, uploadSkillIcon.single("iconFile"), async (req, res) => {
-  try {
-    const skillId = req.params.id;
-    const { name, level, category, iconUrl: existingIconUrl } = req.body;
-
-    if (!name || !level || !category) {
-      return res.status(400).json({ message: "Name, level, and category are required" });
+};
+
+const createSkillSchema = { body: skillFields };
+const updateSkillSchema = {
+  params: rules.idParam,
+  body: strict({
+    ...skillFields,
+    // Existing icon to keep; leave empty to remove it
+    iconUrl: { type: "string", maxLength: 255 }
+  })
+};
+
+const skillsRoutes = ({ db, clock, cache }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(invalidateOnWrite(cache, "skills"));
+
+  // Get All Skills
+  router.get("/", cachedResponse(cache, "skills"), async (req, res, next) => {
+    try {
+      const skills = await listSkills(db);
+
+      // PostgreSQL returns lowercase column names, so map iconurl -> iconUrl
+      const formatted = skills.map(s => ({
+        id: s.id,
+        name: s.name,
+        level: s.level,
+        category: s.category,
+        iconUrl: s.iconurl, // PostgreSQL returns as 'iconurl'
+        createdAt: s.createdat,
+        updatedAt: s.updatedat
+      }));
+
+      res.status(200).json(formatted);
+    } catch (error) {
+      next(error);
     }
-
-    const skills = await executeQuery("SELECT * FROM skills WHERE id=$1", [skillId]);
-    if (!skills || skills.length === 0) {
-      return res.status(404).json({ message: "Skill not found" });
+  });
+
+  // Add New Skill
+  router.post("/", isAuthenticated, requirePermission("skills:write"), uploadSkillIcon.single("iconFile"), validate(createSkillSchema), async (req, res, next) => {
+    try {
+      const { name, level, category } = req.body;
+      const iconUrl = req.file ? `/Uploads/skills/${req.file.filename}` : null;
+
+      const skill = await db.withTransaction(async (tx) => {
+        const created = await createSkill({ name, level, category, iconUrl }, tx);
+        await recordAudit(req, { action: "create", entityType: "skill", entityId: created.id, after: created }, tx);
+        return created;
+      });
+
+      res.status(201).json({
+        id: skill.id,
+        name,
+        level,
+        category,
+        iconUrl,
+        createdAt: skill.createdat,
+      });
+    } catch (error) {
+      // The row was not stored, so the uploaded icon is orphaned
+      if (req.file) removeIcon(req.file.filename);
+      next(error);
     }
-    const oldSkill = skills[0];
-    const oldIconPath = oldSkill.iconurl ? path.join(__dirname, '..', 'Uploads', 'skills', path.basename(oldSkill.iconurl)) : null;
+  });
 
-    let finalIconUrl = existingIconUrl || null;
+  // Update Skill
+  router.put("/:id", isAuthenticated, requirePermission("skills:write"), uploadSkillIcon.single("iconFile"), validate(updateSkillSchema), async (req, res, next) => {
+    try {
+      const skillId = req.params.id;
+      const { name, level, category, iconUrl: existingIconUrl } = req.body;
 
-    if (req.file) {
-      finalIconUrl = `/Uploads/skills/${req.file.filename}`;
-      if (oldIconPath && fs.existsSync(oldIconPath)) {
-        fs.unlinkSync(oldIconPath);
-      }
-    } else if (!existingIconUrl && oldIconPath) {
-      finalIconUrl = null;
-      if (fs.existsSync(oldIconPath)) {
-        fs.unlinkSync(oldIconPath);
-      }
-    }
+      const { oldSkill, finalIconUrl } = await db.withTransaction(async (tx) => {
+        const oldSkill = await findSkillForUpdate(skillId, tx);
+        if (!oldSkill) throw new NotFoundError("Skill not found");
 
-    const updateQuery = `
-      UPDATE skills
-      SET name = $1, level = $2, category = $3, iconUrl = $4, updatedAt = CURRENT_TIMESTAMP
-      WHERE id = $5
-    `;
+        // A new upload replaces the icon; otherwise keep the one the client sent back (empty removes it)
+        const finalIconUrl = req.file ? `/Uploads/skills/${req.file.filename}` : (existingIconUrl || null);
 
-    await executeQuery(updateQuery, [name, level, category, finalIconUrl, skillId]);
+        const updated = await updateSkill(skillId, { name, level, category, iconUrl: finalIconUrl }, tx);
+        await recordAudit(req, { action: "update", entityType: "skill", entityId: skillId, before: oldSkill, after: updated }, tx);
+        return { oldSkill, finalIconUrl };
+      });
 
-    const updatedSkill = {
-      id: skillId,
-      name,
-      level,
-      category,
-      iconUrl: finalIconUrl,
-      updatedAt: new Date()
-    };
+      // Only drop the old icon file once the new row is committed
+      if (oldSkill.iconurl && oldSkill.iconurl !== finalIconUrl) {
+        removeIcon(oldSkill.iconurl);
+      }
 
-    res.status(200).json(updatedSkill);
-  } catch (error) {
-    console.error("Error updating skill:", error);
-    res.status(500).json({ message: "Server error while updating skill", error: error.message });
-  }
-});
+      res.status(200).json({
+        id: skillId,
+        name,
+        level,
+        category,
+        iconUrl: finalIconUrl,
+        updatedAt: clock.now()
+      });
+    } catch (error) {
+      if (req.file) removeIcon(req.file.filename);
+      next(error);
+    }
+  });
 
-// Delete Skill
-router.delete("/:id", isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const skillId = req.params.id;
+  // Move Skill to Trash (the icon file is kept until it is purged)
+  router.delete("/:id", isAuthenticated, requirePermission("skills:delete"), validate({ params: rules.idParam }), async (req, res, next) => {
+    try {
+      const skillId = req.params.id;
 
-    const skills = await executeQuery("SELECT * FROM skills WHERE id=$1", [skillId]);
-    if (!skills || skills.length === 0) {
-      return res.status(404).json({ message: "Skill not found" });
-    }
+      await db.withTransaction(async (tx) => {
+        const trashed = await trashSkill(skillId, tx);
+        if (!trashed) throw new NotFoundError("Skill not found");
 
-    const skill = skills[0];
-
-    if (skill.iconurl) {
-      const iconPath = path.join(
-        __dirname,
-        "..",
-        "Uploads",
-        "skills",
-        path.basename(skill.iconurl)
-      );
-      if (fs.existsSync(iconPath)) fs.unlinkSync(iconPath);
-    }
+        await recordAudit(req, { action: "delete", entityType: "skill", entityId: skillId, after: trashed }, tx);
+      });
 
-    await executeQuery("DELETE FROM skills WHERE id=$1", [skillId]);
+      res.status(200).json({ message: "Skill moved to trash", id: skillId });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-    res.status(200).json({ message: "Skill deleted successfully", id: skillId });
-  } catch (error) {
-    console.error("Error deleting skill:", error);
-    res.status(500).json({ message: "Server error while deleting skill", error: error.message });
-  }
-});
+  return router;
+};
 
-export default router;
\ No newline at end of file
+export default skillsRoutes;
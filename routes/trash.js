@@ -0,0 +1,95 @@
+// routes/trash.js - Soft-deleted content (mounted at /api/trash)
+import express from 'express';
+import { ForbiddenError, NotFoundError } from '../server/errors.js';
+import { TRASH_TYPES, getRetentionDays, listTrash, restoreFromTrash, purgeFromTrash } from '../server/trash.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, rules } from '../middleware/validate.js';
+import { hasPermission } from '../config/permissions.js';
+
+const TYPES = Object.keys(TRASH_TYPES);
+
+const listSchema = {
+  query: {
+    ...rules.pagination(50, 200),
+    type: { type: 'enum', values: TYPES }
+  }
+};
+
+const itemSchema = {
+  params: {
+    type: { type: 'enum', required: true, values: TYPES },
+    ...rules.idParam
+  }
+};
+
+// Same check as requirePermission, including API key scopes
+const canManage = (req, type) => {
+  const { permission } = TRASH_TYPES[type];
+  return hasPermission(req.user, permission) && (!req.apiKey || (req.apiKey.scopes || []).includes(permission));
+};
+
+// Restoring or purging needs the delete permission of the item's type
+const requireTypePermission = (req, res, next) => (
+  requirePermission(TRASH_TYPES[req.params.type].permission)(req, res, next)
+);
+
+const trashRoutes = ({ db, storage, cache }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated);
+
+  // List trashed items of every type the caller may delete
+  router.get('/', validate(listSchema), async (req, res, next) => {
+    try {
+      const { page, limit, type } = req.query;
+
+      const types = (type ? [type] : TYPES).filter(t => canManage(req, t));
+      if (types.length === 0) throw new ForbiddenError('Access denied. No permission to manage trashed content');
+
+      const { items, total } = await listTrash({ types, limit, offset: (page - 1) * limit }, db);
+
+      res.json({
+        items,
+        retentionDays: getRetentionDays(),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Restore a trashed item
+  router.post('/:type/:id/restore', validate(itemSchema), requireTypePermission, async (req, res, next) => {
+    try {
+      const { type, id } = req.params;
+
+      const restored = await restoreFromTrash(type, id, req, db);
+      if (!restored) throw new NotFoundError('Item not found in trash');
+
+      // The item is public again
+      cache.invalidate(TRASH_TYPES[type].resource);
+      res.json({ message: 'Item restored successfully', type, id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Permanently delete a trashed item and its assets right away
+  router.delete('/:type/:id', validate(itemSchema), requireTypePermission, async (req, res, next) => {
+    try {
+      const { type, id } = req.params;
+
+      const purged = await purgeFromTrash(type, id, req, { db, storage });
+      if (!purged) throw new NotFoundError('Item not found in trash');
+
+      res.json({ message: 'Item permanently deleted', type, id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default trashRoutes;
@@ -0,0 +1,351 @@
+// routes/users.js - Admin user management (mounted at /api/auth/users)
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import logger from '../server/logger.js';
+import { recordAudit } from '../server/audit.js';
+import { revokeAllSessions } from '../server/sessions.js';
+import { resetAccountThrottle } from '../server/loginThrottle.js';
+import { createPasswordResetToken, buildResetPasswordUrl } from '../server/passwordReset.js';
+import { AppError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../server/errors.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import { validate, strict, rules } from '../middleware/validate.js';
+import { ADMIN_ONLY_PERMISSIONS, PERMISSIONS, ROLES, getEffectiveRole, getUserPermissions } from '../config/permissions.js';
+import config from '../config/env.js';
+
+const INVITE_TTL_MINUTES = 72 * 60;
+
+const USER_COLUMNS = `
+  id, email, role, permissions, totp_enabled, disabled_at, locked_until,
+  invited_by, createdAt AS created_at
+`;
+
+const inviteSchema = {
+  body: {
+    email: { type: 'email', required: true },
+    role: { type: 'enum', values: ROLES, default: 'editor' }
+  }
+};
+
+const updateUserSchema = {
+  params: rules.idParam,
+  body: strict({
+    role: { type: 'enum', values: ROLES },
+    permissions: { type: 'array', items: { type: 'enum', values: PERMISSIONS } }
+  })
+};
+
+const accessSchema = {
+  params: rules.idParam,
+  body: strict({
+    role: { type: 'enum', required: true, values: ROLES },
+    permissions: { type: 'array', default: () => [], items: { type: 'enum', values: PERMISSIONS } }
+  })
+};
+
+const idSchema = { params: rules.idParam };
+
+const formatUser = (user) => ({
+  ...user,
+  role: getEffectiveRole(user),
+  effectivePermissions: getUserPermissions(user)
+});
+
+const inviteEmailTemplate = ({ inviterEmail, role, inviteUrl }) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #14b8a6 0%, #06b6d4 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+    .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+    .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2>👋 You've been invited to the portfolio admin</h2>
+    </div>
+    <div class="content">
+      <p>${inviterEmail} invited you to help manage the portfolio as <strong>${role}</strong>.</p>
+      <p><a class="button" href="${inviteUrl}">Set your password</a></p>
+      <p>This link works once and expires in 3 days.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+const sendInvite = async (user, inviter, { db, mailer }) => {
+  const token = await createPasswordResetToken(user.id, INVITE_TTL_MINUTES, db);
+  try {
+    await mailer.sendMail('invite', {
+      from: `"Portfolio Admin" <${config.emailUser}>`,
+      to: user.email,
+      subject: 'You have been invited to the portfolio admin',
+      html: inviteEmailTemplate({
+        inviterEmail: inviter.email,
+        role: user.role,
+        inviteUrl: buildResetPasswordUrl(token)
+      }),
+    });
+    return true;
+  } catch (error) {
+    logger.error('Invite email error', { reason: error.message });
+    return false;
+  }
+};
+
+// Active admins other than the given user (ADMIN_EMAIL always counts as admin)
+const countOtherAdmins = async (userId, db) => {
+  const rows = await db.query(`
+    SELECT COUNT(*)::int AS count
+    FROM users
+    WHERE id <> $1 AND disabled_at IS NULL AND (role = 'admin' OR email = $2)
+  `, [userId, config.adminEmail]);
+  return rows[0]?.count || 0;
+};
+
+const findUser = async (id, db) => {
+  const users = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return users[0] || null;
+};
+
+// Load a user for a change that could remove an admin. The active admins and
+// the user stay locked until tx ends, so concurrent demotions, disables and
+// deletes are decided one at a time against the committed admin count.
+const findUserForAdminChange = async (id, tx) => {
+  await tx.query(`
+    SELECT id FROM users
+    WHERE disabled_at IS NULL AND (role = 'admin' OR email = $1)
+    ORDER BY id
+    FOR UPDATE
+  `, [config.adminEmail]);
+  const users = await tx.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+  return users[0] || null;
+};
+
+// users:manage can be granted to non-admins, who must not use it to reach
+// admin powers: only admins assign the admin role or admin-only permissions,
+// change an admin, or change their own access.
+const isAdminUser = (user) => getEffectiveRole(user) === 'admin';
+
+const assertCanChangeUser = (actor, user) => {
+  if (isAdminUser(actor)) return;
+  if (isAdminUser(user)) throw new ForbiddenError('Only admins can change an admin');
+};
+
+const assertCanAssignAccess = (actor, user, { role, permissions }) => {
+  if (isAdminUser(actor)) return;
+  if (user && user.id === actor.id) throw new ForbiddenError('Only admins can change their own role or permissions');
+  if (role === 'admin') throw new ForbiddenError('Only admins can assign the admin role');
+
+  const current = Array.isArray(user?.permissions) ? user.permissions : [];
+  const granted = (permissions || []).filter(p => ADMIN_ONLY_PERMISSIONS.includes(p) && !current.includes(p));
+  if (granted.length > 0) throw new ForbiddenError(`Only admins can grant: ${granted.join(', ')}`);
+};
+
+// Blocks changes that would leave the site without an active admin
+const wouldRemoveLastAdmin = async (user, tx) => (
+  getEffectiveRole(user) === 'admin' && !user.disabled_at && await countOtherAdmins(user.id, tx) === 0
+);
+
+const usersRoutes = ({ db, mailer }) => {
+  const router = express.Router();
+  const isAuthenticated = createAuthentication({ db });
+
+  router.use(isAuthenticated, requirePermission('users:manage'));
+
+  // List users
+  router.get('/', async (req, res, next) => {
+    try {
+      const users = await db.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY createdAt ASC`);
+      res.json(users.map(formatUser));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get single user
+  router.get('/:id', validate(idSchema), async (req, res, next) => {
+    try {
+      const user = await findUser(req.params.id, db);
+      if (!user) throw new NotFoundError('User not found');
+
+      res.json(formatUser(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Invite a user by email; they pick their own password through the emailed link
+  router.post('/', validate(inviteSchema), async (req, res, next) => {
+    try {
+      const { email, role } = req.body;
+      assertCanAssignAccess(req.user, null, { role });
+
+      const existing = await db.query('SELECT id FROM users WHERE email = $1', [email]);
+      if (existing.length > 0) throw new ConflictError('A user with this email already exists');
+
+      // Unusable until the invite link is used
+      const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+      const rows = await db.query(
+        `INSERT INTO users (email, password, role, invited_by) VALUES ($1, $2, $3, $4) RETURNING ${USER_COLUMNS}`,
+        [email, placeholderPassword, role, req.user.id]
+      );
+      const user = rows[0];
+
+      const emailSent = await sendInvite(user, req.user, { db, mailer });
+
+      await recordAudit(req, { action: 'create', entityType: 'user', entityId: user.id, after: user }, db);
+
+      res.status(201).json({ ...formatUser(user), emailSent });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send a fresh invite link (the previous one stops working)
+  router.post('/:id/resend-invite', validate(idSchema), async (req, res, next) => {
+    try {
+      const user = await findUser(req.params.id, db);
+      if (!user) throw new NotFoundError('User not found');
+      if (user.disabled_at) throw new ValidationError('User is disabled');
+
+      const emailSent = await sendInvite(user, req.user, { db, mailer });
+      if (!emailSent) throw new AppError('Failed to send invite email', { status: 502, code: 'BAD_GATEWAY' });
+
+      res.json({ message: 'Invite sent successfully', id: user.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change the role and extra permissions of a user
+  const updateAccess = async (req, res, next) => {
+    try {
+      const { role, permissions } = req.body;
+      if (role === undefined && permissions === undefined) {
+        throw new ValidationError('Role or permissions are required');
+      }
+
+      const updated = await db.withTransaction(async (tx) => {
+        const user = await findUserForAdminChange(req.params.id, tx);
+        if (!user) throw new NotFoundError('User not found');
+        assertCanChangeUser(req.user, user);
+        assertCanAssignAccess(req.user, user, { role, permissions });
+
+        const nextRole = role ?? user.role;
+        const staysAdmin = getEffectiveRole({ ...user, role: nextRole }) === 'admin';
+        if (!staysAdmin && await wouldRemoveLastAdmin(user, tx)) {
+          throw new ConflictError('Cannot demote the last admin');
+        }
+
+        const rows = await tx.query(
+          `UPDATE users SET role = $1, permissions = $2 WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+          [nextRole, JSON.stringify(permissions ?? user.permissions ?? []), user.id]
+        );
+        await recordAudit(req, { action: 'update', entityType: 'user', entityId: user.id, before: user, after: rows[0] }, tx);
+        return rows[0];
+      });
+
+      res.json(formatUser(updated));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.put('/:id', validate(updateUserSchema), updateAccess);
+
+  // Older clients set role and permissions together here (the full permission list, [] by default)
+  router.put('/:id/access', validate(accessSchema), updateAccess);
+
+  // Disable a user: blocks login, API keys and every open session
+  router.post('/:id/disable', validate(idSchema), async (req, res, next) => {
+    try {
+      const disabled = await db.withTransaction(async (tx) => {
+        const user = await findUserForAdminChange(req.params.id, tx);
+        if (!user) throw new NotFoundError('User not found');
+        if (user.id === req.user.id) throw new ValidationError('You cannot disable your own account');
+        assertCanChangeUser(req.user, user);
+        if (await wouldRemoveLastAdmin(user, tx)) throw new ConflictError('Cannot disable the last admin');
+
+        const rows = await tx.query(
+          `UPDATE users SET disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP) WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+          [user.id]
+        );
+        await revokeAllSessions(user.id, null, tx);
+
+        await recordAudit(req, { action: 'disable', entityType: 'user', entityId: user.id, before: user, after: rows[0] }, tx);
+        return rows[0];
+      });
+
+      res.json(formatUser(disabled));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Re-enable a disabled user
+  router.post('/:id/enable', validate(idSchema), async (req, res, next) => {
+    try {
+      const user = await findUser(req.params.id, db);
+      if (!user) throw new NotFoundError('User not found');
+      assertCanChangeUser(req.user, user);
+
+      const rows = await db.query(
+        `UPDATE users SET disabled_at = NULL WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+        [user.id]
+      );
+      if (rows.length === 0) throw new NotFoundError('User not found');
+
+      await recordAudit(req, { action: 'enable', entityType: 'user', entityId: rows[0].id, after: rows[0] }, db);
+
+      res.json(formatUser(rows[0]));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Unlock an account locked by failed logins
+  router.post('/:id/unlock', validate(idSchema), async (req, res, next) => {
+    try {
+      const found = await resetAccountThrottle(req.params.id, db);
+      if (!found) throw new NotFoundError('User not found');
+
+      await recordAudit(req, { action: 'unlock', entityType: 'user', entityId: req.params.id }, db);
+
+      res.json({ message: 'Account unlocked successfully', id: req.params.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a user
+  router.delete('/:id', validate(idSchema), async (req, res, next) => {
+    try {
+      const user = await db.withTransaction(async (tx) => {
+        const found = await findUserForAdminChange(req.params.id, tx);
+        if (!found) throw new NotFoundError('User not found');
+        if (found.id === req.user.id) throw new ValidationError('You cannot delete your own account');
+        assertCanChangeUser(req.user, found);
+        if (await wouldRemoveLastAdmin(found, tx)) throw new ConflictError('Cannot delete the last admin');
+
+        await tx.query('DELETE FROM users WHERE id = $1', [found.id]);
+
+        await recordAudit(req, { action: 'delete', entityType: 'user', entityId: found.id, before: found }, tx);
+        return found;
+      });
+
+      res.json({ message: 'User deleted successfully', id: user.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default usersRoutes;
@@ -0,0 +1,75 @@
+// server/apiKeys.js - Hashed, scoped API keys for CI scripts and the CLI
+import crypto from 'crypto';
+import { db } from './db.js';
+
+export const API_KEY_PREFIX = 'pfk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const PUBLIC_COLUMNS = 'id, name, key_prefix, scopes, created_by, created_at, last_used_at, expires_at, revoked_at';
+
+/**
+ * Check whether a bearer credential looks like an API key rather than a JWT
+ * @param {string} token - Credential from the request
+ * @returns {boolean}
+ */
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create an API key. The plain key is only returned here; the database keeps its hash.
+ * @param {Object} options - { name, scopes, createdBy, expiresAt }
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - { key, apiKey } where apiKey is the stored row without the hash
+ */
+export const createApiKey = async ({ name, scopes, createdBy, expiresAt = null }, tx = db) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+  const rows = await tx.query(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${PUBLIC_COLUMNS}
+  `, [name, key.slice(0, API_KEY_PREFIX.length + 8), hashKey(key), JSON.stringify(scopes), createdBy, expiresAt]);
+
+  return { key, apiKey: rows[0] };
+};
+
+/**
+ * List API keys (never includes hashes)
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Array>}
+ */
+export const listApiKeys = async (tx = db) => tx.query(`
+  SELECT ${PUBLIC_COLUMNS} FROM api_keys ORDER BY created_at DESC
+`);
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key ID
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<boolean>} - Whether a live key was revoked
+ */
+export const revokeApiKey = async (id, tx = db) => {
+  const rows = await tx.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [id]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Resolve a presented API key to its row, recording when it was last used
+ * @param {string} key - Plain API key
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>} - Key row if it is valid, not revoked and not expired
+ */
+export const authenticateApiKey = async (key, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE api_keys
+    SET last_used_at = CURRENT_TIMESTAMP
+    WHERE key_hash = $1
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    RETURNING ${PUBLIC_COLUMNS}
+  `, [hashKey(key)]);
+  return rows[0] || null;
+};
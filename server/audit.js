@@ -0,0 +1,44 @@
+// server/audit.js - Persistent audit log of admin mutations
+import { db } from './db.js';
+import logger from './logger.js';
+import { getClientIp } from '../middleware/clientIp.js';
+
+// Never copy secrets into the audit trail
+const REDACTED_FIELDS = ['password', 'totp_secret', 'key_hash', 'refresh_token_hash', 'token_hash'];
+
+const snapshot = (value) => {
+  if (value === undefined || value === null) return null;
+  const copy = { ...value };
+  REDACTED_FIELDS.forEach(field => { delete copy[field]; });
+  return JSON.stringify(copy);
+};
+
+/**
+ * Record an admin mutation. On its own a failure is logged and never breaks the
+ * request; inside a transaction it is rethrown so the change rolls back with it.
+ * @param {Object|null} req - Express request (actor, API key and IP come from here); null for system jobs
+ * @param {Object} entry - { action, entityType, entityId, before, after }
+ * @param {Object} [tx] - Database handle, or a transaction handle from withTransaction
+ */
+export const recordAudit = async (req, { action, entityType, entityId, before = null, after = null }, tx = db) => {
+  try {
+    await tx.query(`
+      INSERT INTO audit_log
+      (actor_id, actor_email, api_key_id, action, entity_type, entity_id, before_data, after_data, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      req?.user?.id || null,
+      req?.user?.email || null,
+      req?.apiKey?.id || null,
+      action,
+      entityType,
+      entityId !== undefined && entityId !== null ? String(entityId) : null,
+      snapshot(before),
+      snapshot(after),
+      req ? getClientIp(req) : null
+    ]);
+  } catch (error) {
+    logger.error('Audit log write error', { reason: error.message, action, entityType });
+    if (tx.inTransaction) throw error;
+  }
+};
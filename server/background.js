@@ -0,0 +1,73 @@
+// server/background.js - Work that carries on after the response is sent
+//
+// Post-response work (reset emails, cleanups) is registered here instead of
+// being left as a floating promise, so shutdown can wait for it before the
+// database pool closes. A failed task is retried with a growing delay.
+import logger from './logger.js';
+
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tracked queue for background tasks. Each app gets its own; server.js hands
+ * the same one to shutdown.
+ * @param {Object} [options] - { attempts, retryDelayMs } defaults for every task
+ * @returns {Object} - { run(name, task, options), drain(timeoutMs), pending() }
+ */
+export const createBackgroundQueue = ({ attempts = DEFAULT_ATTEMPTS, retryDelayMs = DEFAULT_RETRY_DELAY_MS } = {}) => {
+  const running = new Set();
+
+  const attemptTask = async (name, task, maxAttempts) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await task();
+        return;
+      } catch (error) {
+        const willRetry = attempt < maxAttempts;
+        logger.error('Background task failed', { task: name, attempt, willRetry, reason: error.message });
+        if (!willRetry) return;
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  /**
+   * Start a task without waiting for it. Never rejects; failures are logged.
+   * @param {string} name - For the logs, e.g. 'password_reset_email'
+   * @param {Function} task - async () => void, called again on each retry
+   * @param {Object} [options] - { attempts } to override the queue default
+   */
+  const run = (name, task, options = {}) => {
+    const done = attemptTask(name, task, options.attempts ?? attempts)
+      .finally(() => running.delete(done));
+    running.add(done);
+  };
+
+  /**
+   * Wait for every task, including ones started while waiting
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<boolean>} - false when tasks were still running at the timeout
+   */
+  const drain = async (timeoutMs) => {
+    if (running.size === 0) return true;
+    logger.info('Waiting for background tasks', { pending: running.size, timeoutMs });
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const settled = (async () => {
+      while (running.size > 0) await Promise.all(running);
+      return true;
+    })();
+
+    const finished = await Promise.race([settled, timedOut]);
+    clearTimeout(timer);
+    if (!finished) logger.warn('Background tasks still running after timeout', { pending: running.size, timeoutMs });
+    return finished;
+  };
+
+  return { run, drain, pending: () => running.size };
+};
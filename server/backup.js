@@ -0,0 +1,328 @@
+// server/backup.js - Full content backup: export to and import from a single archive
+//
+// The archive is gzipped JSON: { format, version, exportedAt, tables, files }.
+// Rows are exported with to_jsonb and imported with jsonb_populate_record, so
+// dates, timestamps and JSONB columns round-trip exactly. Local upload files
+// referenced by the rows (/Uploads/...) are embedded as base64.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import { db } from './db.js';
+import { systemClock } from './clock.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, ValidationError } from './errors.js';
+import { RENDERED_COLUMNS } from './repositories/blog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'Uploads');
+const UPLOAD_REFERENCE = /\/Uploads\/([A-Za-z0-9._-]+(?:\/[A-Za-z0-9._-]+)*)/g;
+
+// Uploads are images, and these are the types /Uploads serves as images (see
+// app.js). Anything else in an archive, SVG included, could be served as a
+// document from our origin, so it is never written.
+const RESTORABLE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+export const BACKUP_FORMAT = 'portfolio-backup';
+export const BACKUP_VERSION = 1;
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'renumber'];
+
+// Archives larger than this, uploaded or unpacked, are rejected. An import
+// holds the JSON text and the parsed tables in memory at the same time, so
+// this keeps one import well inside a small instance's heap.
+export const MAX_ARCHIVE_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Tables in the archive, in import order (referenced tables first).
+ * references maps a column to the table whose ids it holds, so it can be
+ * remapped when rows get new ids. Users are matched by email, never duplicated.
+ * exclude columns are neither exported nor taken from an archive; derived
+ * columns are cleared on import so they are rebuilt from the imported row.
+ */
+const BACKUP_TABLES = [
+  {
+    name: 'users',
+    naturalKey: 'email',
+    // Credentials and login state never leave the database
+    exclude: ['password', 'totp_secret', 'totp_enabled', 'totp_last_counter', 'failed_login_count', 'last_failed_login_at', 'locked_until'],
+    references: { invited_by: 'users' }
+  },
+  { name: 'skills' },
+  { name: 'projects' },
+  { name: 'journey_items' },
+  { name: 'blog_posts', references: { author_id: 'users' }, derived: RENDERED_COLUMNS },
+  { name: 'blog_comments', references: { post_id: 'blog_posts' } },
+  { name: 'contact_messages' }
+];
+
+const quote = (column) => `"${column}"`;
+
+// Resolve an /Uploads/ reference inside the uploads directory, or null when it escapes it
+const resolveUpload = (relativePath) => {
+  const resolved = path.resolve(UPLOADS_DIR, relativePath);
+  return resolved.startsWith(UPLOADS_DIR + path.sep) ? resolved : null;
+};
+
+const collectUploads = (tables) => {
+  const references = new Set();
+  for (const match of JSON.stringify(tables).matchAll(UPLOAD_REFERENCE)) {
+    references.add(match[1]);
+  }
+
+  const files = [];
+  for (const relativePath of [...references].sort()) {
+    const filePath = resolveUpload(relativePath);
+    if (!filePath || !fs.existsSync(filePath)) continue;
+    files.push({ path: relativePath, data: fs.readFileSync(filePath).toString('base64') });
+  }
+  return files;
+};
+
+/**
+ * Build a gzipped backup archive of all content
+ * @param {Object} req - Express request, for the audit entry
+ * @param {Object} [deps] - { db, clock }
+ * @returns {Promise<Object>} - { archive: Buffer, counts: { <table>: rows, files } }
+ */
+export const createBackupArchive = async (req, { db: database = db, clock = systemClock } = {}) => {
+  const tables = {};
+  const counts = {};
+
+  // One snapshot for every table, so references between them stay consistent
+  await database.withTransaction(async (tx) => {
+    await tx.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+    for (const { name, exclude = [], derived = [] } of BACKUP_TABLES) {
+      const rows = await tx.query(`SELECT to_jsonb(t) AS data FROM ${name} t ORDER BY id`);
+      tables[name] = rows.map(({ data }) => {
+        [...exclude, ...derived].forEach(column => { delete data[column]; });
+        return data;
+      });
+      counts[name] = tables[name].length;
+    }
+  });
+
+  const files = collectUploads(tables);
+  counts.files = files.length;
+
+  const archive = await gzip(JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: clock.now().toISOString(),
+    tables,
+    files
+  }));
+
+  await recordAudit(req, { action: 'export', entityType: 'backup', after: counts }, database);
+  return { archive, counts };
+};
+
+/**
+ * Unpack and check a backup archive (gzipped or plain JSON)
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} - Parsed backup
+ */
+export const readBackupArchive = async (buffer) => {
+  let backup;
+  try {
+    const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    if (buffer.length > MAX_ARCHIVE_BYTES) throw new Error(`Archive is larger than ${MAX_ARCHIVE_BYTES} bytes`);
+    const json = isGzip ? await gunzip(buffer, { maxOutputLength: MAX_ARCHIVE_BYTES }) : buffer;
+    backup = JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Backup archive could not be read', [{ field: 'archive', location: 'body', message: error.message }]);
+  }
+
+  if (backup?.format !== BACKUP_FORMAT) throw new ValidationError('Not a portfolio backup archive');
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new ValidationError(`Unsupported backup version: ${backup.version}`);
+  }
+  if (!backup.tables || typeof backup.tables !== 'object') throw new ValidationError('Backup archive has no tables');
+
+  for (const { name } of BACKUP_TABLES) {
+    const rows = backup.tables[name] ?? [];
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || !Number.isInteger(row.id))) {
+      throw new ValidationError(`Backup table ${name} is malformed`);
+    }
+  }
+  if (backup.files !== undefined && !Array.isArray(backup.files)) throw new ValidationError('Backup files are malformed');
+
+  return backup;
+};
+
+const getColumns = async (tx, table) => {
+  const rows = await tx.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+    [table]
+  );
+  return rows.map(row => row.column_name);
+};
+
+const insertRow = async (tx, table, data) => {
+  const columns = Object.keys(data).map(quote).join(', ');
+  const rows = await tx.query(
+    `INSERT INTO ${table} (${columns}) SELECT ${columns} FROM jsonb_populate_record(NULL::${table}, $1) RETURNING id`,
+    [JSON.stringify(data)]
+  );
+  return rows[0].id;
+};
+
+const updateRow = async (tx, table, id, data) => {
+  const changes = { ...data };
+  delete changes.id;
+  const columns = Object.keys(changes).map(quote).join(', ');
+  if (!columns) return;
+  await tx.query(
+    `UPDATE ${table} SET (${columns}) = (SELECT ${columns} FROM jsonb_populate_record(NULL::${table}, $1)) WHERE id = $2`,
+    [JSON.stringify(changes), id]
+  );
+};
+
+const findExisting = async (tx, table, row) => {
+  const key = table.naturalKey || 'id';
+  const rows = await tx.query(`SELECT id FROM ${table.name} WHERE ${quote(key)} = $1`, [row[key]]);
+  return rows[0] || null;
+};
+
+const idTaken = async (tx, table, id) => (await tx.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id])).length > 0;
+
+// Live posts need unique slugs. Returns the id of the post to map onto when
+// the row is skipped, or null to go ahead with the (possibly renamed) row.
+const resolveSlugConflict = async (tx, row, targetId, strategy) => {
+  if (row.deleted_at) return null;
+
+  const findOwner = async (slug) => {
+    const rows = await tx.query(
+      'SELECT id FROM blog_posts WHERE slug = $1 AND deleted_at IS NULL AND id IS DISTINCT FROM $2::int',
+      [slug, targetId]
+    );
+    return rows[0]?.id ?? null;
+  };
+
+  const owner = await findOwner(row.slug);
+  if (owner === null) return null;
+  if (strategy === 'skip') return owner;
+  if (strategy === 'overwrite') {
+    throw new ConflictError(`Blog post slug "${row.slug}" is already used by post ${owner}`);
+  }
+
+  const base = row.slug;
+  for (let n = 2; await findOwner(row.slug) !== null; n++) {
+    row.slug = `${base}-${n}`;
+  }
+  return null;
+};
+
+// Imported accounts have no password; they sign in after a password reset
+const unusablePassword = () => bcrypt.hash(crypto.randomBytes(32).toString('base64url'), 10);
+
+const importTable = async (tx, table, rows, strategy, idMaps, report) => {
+  const { exclude = [], derived = [] } = table;
+  const columns = (await getColumns(tx, table.name)).filter(column => !exclude.includes(column));
+  const idMap = new Map();
+  idMaps[table.name] = idMap;
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+
+  for (const source of rows) {
+    // Keep only columns this database has, with references pointing at imported ids
+    const row = Object.fromEntries(Object.entries(source).filter(([column]) => columns.includes(column)));
+    derived.filter(column => columns.includes(column)).forEach(column => { row[column] = null; });
+    for (const [column, referenced] of Object.entries(table.references || {})) {
+      const mapped = idMaps[referenced]?.get(row[column]);
+      if (mapped !== undefined) row[column] = mapped;
+    }
+
+    // Renumbering never touches existing rows, except users that already have the email
+    const existing = (strategy !== 'renumber' || table.naturalKey) ? await findExisting(tx, table, row) : null;
+
+    if (existing && strategy !== 'overwrite') {
+      idMap.set(source.id, existing.id);
+      counts.skipped++;
+      continue;
+    }
+
+    if (table.name === 'blog_posts') {
+      const owner = await resolveSlugConflict(tx, row, existing?.id ?? null, strategy);
+      if (owner !== null) {
+        idMap.set(source.id, owner);
+        counts.skipped++;
+        continue;
+      }
+    }
+
+    if (existing) {
+      await updateRow(tx, table.name, existing.id, row);
+      idMap.set(source.id, existing.id);
+      counts.updated++;
+      continue;
+    }
+
+    const data = { ...row };
+    if (strategy === 'renumber' || (table.naturalKey && await idTaken(tx, table.name, row.id))) delete data.id;
+    if (table.name === 'users') {
+      data.password = await unusablePassword();
+      report.passwordResetRequired.push(row.email);
+    }
+    idMap.set(source.id, await insertRow(tx, table.name, data));
+    counts.inserted++;
+  }
+
+  // Rows inserted with their own ids leave the sequence behind
+  await tx.query(
+    `SELECT setval(pg_get_serial_sequence('${table.name}', 'id'), COALESCE((SELECT MAX(id) FROM ${table.name}), 0) + 1, false)`
+  );
+  return counts;
+};
+
+const restoreFiles = (files = [], strategy) => {
+  const counts = { written: 0, skipped: 0, rejected: 0 };
+
+  for (const file of files) {
+    const filePath = typeof file?.path === 'string' && typeof file.data === 'string' ? resolveUpload(file.path) : null;
+    if (!filePath || !RESTORABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      counts.rejected++;
+      continue;
+    }
+    if (fs.existsSync(filePath) && strategy !== 'overwrite') {
+      counts.skipped++;
+      continue;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.from(file.data, 'base64'));
+    counts.written++;
+  }
+  return counts;
+};
+
+/**
+ * Import a backup in a single transaction. When a row already exists (same id,
+ * or same email for users) it is kept (skip), replaced (overwrite), or the
+ * imported row is added under a new id (renumber).
+ * @param {Object} backup - From readBackupArchive
+ * @param {Object} options - { strategy }
+ * @param {Object} req - Express request, for the audit entry
+ * @param {Object} [database] - Database handle
+ * @returns {Promise<Object>} - { strategy, tables, files, passwordResetRequired }
+ */
+export const importBackup = async (backup, { strategy = 'skip' } = {}, req = null, database = db) => {
+  const report = { strategy, tables: {}, files: null, passwordResetRequired: [] };
+
+  await database.withTransaction(async (tx) => {
+    const idMaps = {};
+    for (const table of BACKUP_TABLES) {
+      report.tables[table.name] = await importTable(tx, table, backup.tables[table.name] ?? [], strategy, idMaps, report);
+    }
+    await recordAudit(req, { action: 'import', entityType: 'backup', after: { strategy, tables: report.tables } }, tx);
+  });
+
+  // Files are only written once the rows referencing them are committed
+  report.files = restoreFiles(backup.files, strategy);
+  return report;
+};
@@ -0,0 +1,9 @@
+// server/clock.js - Where the app gets the current time; createApp accepts a
+// replacement so tests can pin it
+
+/**
+ * Clock backed by the system time
+ */
+export const systemClock = {
+  now: () => new Date()
+};
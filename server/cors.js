@@ -0,0 +1,109 @@
+// server/cors.js - CORS origin policy: config allowlist plus the cors_origins table
+import { db } from './db.js';
+import { compileOriginPattern } from './originPattern.js';
+import logger from './logger.js';
+import config from '../config/env.js';
+
+// Admin changes reach other instances within this long
+const STORED_ORIGINS_TTL_MS = 60 * 1000;
+
+// Any local dev server, as the old development rule allowed
+const DEVELOPMENT_ORIGINS = ['http://localhost:*', 'http://127.0.0.1:*'];
+
+/**
+ * List the admin-managed origins
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Array>}
+ */
+export const listCorsOrigins = async (tx = db) => tx.query(`
+  SELECT id, pattern, note, created_by, created_at
+  FROM cors_origins
+  ORDER BY pattern
+`);
+
+/**
+ * Allow an origin or pattern
+ * @param {Object} origin - { pattern, note, createdBy } where pattern is already normalized
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - The stored row
+ */
+export const addCorsOrigin = async ({ pattern, note = null, createdBy }, tx = db) => {
+  const rows = await tx.query(`
+    INSERT INTO cors_origins (pattern, note, created_by)
+    VALUES ($1, $2, $3)
+    RETURNING id, pattern, note, created_by, created_at
+  `, [pattern, note, createdBy]);
+  return rows[0];
+};
+
+/**
+ * Stop allowing an admin-managed origin
+ * @param {number} id - cors_origins ID
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>} - The deleted row, or null when it did not exist
+ */
+export const removeCorsOrigin = async (id, tx = db) => {
+  const rows = await tx.query('DELETE FROM cors_origins WHERE id = $1 RETURNING id, pattern, note', [id]);
+  return rows[0] || null;
+};
+
+const compileAll = (patterns, source) => patterns.flatMap((pattern) => {
+  try {
+    return [{ ...compileOriginPattern(pattern), source }];
+  } catch (error) {
+    logger.warn('Ignoring invalid CORS origin', { source, reason: error.message });
+    return [];
+  }
+});
+
+/**
+ * Build the origin policy for an app
+ * @param {Object} options - { db, mode, origins } where mode and origins default to config
+ * @returns {Object} - { mode, configuredOrigins(), check(origin), invalidate() }
+ */
+export const createCorsPolicy = ({ db: database, mode = config.corsMode, origins = config.corsAllowedOrigins }) => {
+  const configured = compileAll([
+    ...origins,
+    config.frontendUrl,
+    ...(config.isDevelopment ? DEVELOPMENT_ORIGINS : [])
+  ].filter(Boolean), 'config');
+
+  let stored = [];
+  let storedLoadedAt = null;
+
+  // On a database error the last known list keeps being used
+  const loadStored = async () => {
+    if (storedLoadedAt !== null && Date.now() - storedLoadedAt < STORED_ORIGINS_TTL_MS) return stored;
+    try {
+      const rows = await listCorsOrigins(database);
+      stored = compileAll(rows.map(row => row.pattern), 'database');
+    } catch (error) {
+      logger.error('Could not load CORS origins', { reason: error.message });
+    }
+    storedLoadedAt = Date.now();
+    return stored;
+  };
+
+  /**
+   * Find the allowlist entry an origin matches
+   * @param {string} origin - Origin request header
+   * @returns {Promise<Object>} - { allowed, pattern, source }
+   */
+  const check = async (origin) => {
+    const entries = [...configured, ...await loadStored()];
+    const entry = entries.find(({ matches }) => matches(origin));
+    return entry
+      ? { allowed: true, pattern: entry.pattern, source: entry.source }
+      : { allowed: false, pattern: null, source: null };
+  };
+
+  return {
+    mode,
+    configuredOrigins: () => configured.map(({ pattern }) => pattern),
+    check,
+    // Reload the table on the next check (after an admin change on this instance)
+    invalidate: () => {
+      storedLoadedAt = null;
+    }
+  };
+};
@@ -0,0 +1,156 @@
+// server/diff.js - Line-based unified diff (Myers' O(ND) algorithm)
+
+import { AppError } from './errors.js';
+
+const DEFAULT_CONTEXT = 3;
+
+// Texts longer than this (per side) are refused rather than diffed
+export const MAX_DIFF_LINES = 20000;
+
+// Past this many edits the search gives up and reports a full replacement.
+// The trace grows with the square of the edit distance, so this bounds memory.
+const MAX_EDIT_DISTANCE = 2000;
+
+// trace[d] holds v for k in [-d, d] before step d, at index k + d
+const backtrack = (trace, a, b) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : v[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[y - 1] });
+      else ops.push({ type: '-', line: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Myers on lines that differ at both ends (the common prefix and suffix are trimmed first)
+const shortestEdit = (a, b) => {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) return backtrack(trace, a, b);
+    }
+  }
+
+  // Too different to be worth a minimal script
+  return [
+    ...a.map(line => ({ type: '-', line })),
+    ...b.map(line => ({ type: '+', line }))
+  ];
+};
+
+/**
+ * Shortest edit script between two lists of lines (a full replacement once
+ * the texts are more than MAX_EDIT_DISTANCE edits apart)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} - [{ type: ' ' | '-' | '+', line }]
+ */
+export const diffLines = (a, b) => {
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    throw new AppError('Text is too large to diff', {
+      status: 422,
+      code: 'DIFF_TOO_LARGE',
+      details: { maxLines: MAX_DIFF_LINES }
+    });
+  }
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const same = (lines) => lines.map(line => ({ type: ' ', line }));
+  return [
+    ...same(a.slice(0, prefix)),
+    ...shortestEdit(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...same(a.slice(a.length - suffix))
+  ];
+};
+
+// Group edit operations into hunks with `context` unchanged lines around each change
+const buildHunks = (ops, context) => {
+  let oldLine = 0;
+  let newLine = 0;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+  positioned.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(positioned.length - 1, index + context);
+    if (current && start <= current.end + 1) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => {
+    const lines = positioned.slice(start, end + 1);
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    // An empty side is reported at the line before it, like GNU diff
+    const oldStart = oldCount === 0 ? lines[0].oldLine : lines[0].oldLine + 1;
+    const newStart = newCount === 0 ? lines[0].newLine : lines[0].newLine + 1;
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...lines.map(op => `${op.type}${op.line}`)
+    ].join('\n');
+  });
+};
+
+/**
+ * Unified diff of two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} options - { fromLabel, toLabel, context }
+ * @returns {string} - Diff text, or '' when both texts are equal
+ */
+export const unifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = DEFAULT_CONTEXT } = {}) => {
+  if (oldText === newText) return '';
+  const split = (text) => (text === '' ? [] : text.split('\n'));
+  const hunks = buildHunks(diffLines(split(oldText), split(newText)), context);
+  return [`--- ${fromLabel}`, `+++ ${toLabel}`, ...hunks].join('\n');
+};
@@ -0,0 +1,106 @@
+// server/errors.js - Typed application errors and Postgres error mapping
+//
+// Routes throw these (or pass them to next()) and the global error handler in
+// middleware/errorHandler.js turns them into the JSON error envelope.
+import pg from 'pg';
+
+export class AppError extends Error {
+  /**
+   * @param {string} message - Safe to show to API clients
+   * @param {Object} options - { status, code, details, headers }
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, headers } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+// "Key (email)=(someone@example.com) already exists." -> "email"
+const keyColumns = (detail) => {
+  const match = /^Key \(([^)]+)\)/.exec(detail || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Whether an error was raised by Postgres
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isDatabaseError = (err) => err instanceof pg.DatabaseError;
+
+/**
+ * Translate a Postgres error into an AppError. Column names are reported,
+ * values from the failing row are not.
+ * @param {Error} err - Error thrown by pg
+ * @returns {AppError|null} - null when the SQLSTATE has no client-facing meaning
+ */
+export const mapDatabaseError = (err) => {
+  const columns = keyColumns(err.detail);
+
+  switch (err.code) {
+    case '23505': // unique_violation
+      return new ConflictError(
+        columns ? `A record with this ${columns} already exists` : 'A record with these values already exists',
+        columns ? [{ field: columns, message: `${columns} must be unique` }] : undefined
+      );
+    case '23503': // foreign_key_violation
+      return new ConflictError(
+        err.detail && err.detail.includes('is still referenced')
+          ? 'This record is still referenced by other records'
+          : 'A referenced record does not exist',
+        columns ? [{ field: columns, message: `${columns} references a missing or protected record` }] : undefined
+      );
+    case '23514': // check_violation
+      return new ValidationError(
+        'A value is not allowed',
+        err.constraint ? [{ field: err.column || null, message: `violates ${err.constraint}` }] : undefined
+      );
+    case '23502': // not_null_violation
+      return new ValidationError(
+        'A required value is missing',
+        err.column ? [{ field: err.column, message: `${err.column} is required` }] : undefined
+      );
+    case '22P02': // invalid_text_representation
+    case '22007': // invalid_datetime_format
+    case '22008': // datetime_field_overflow
+      return new ValidationError('A value has an invalid format');
+    case '22001': // string_data_right_truncation
+      return new ValidationError('A value is too long');
+    default:
+      return null;
+  }
+};
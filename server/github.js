@@ -0,0 +1,35 @@
+// server/github.js - Read-only GitHub API client used by /api/stats/github
+import axios from 'axios';
+import { githubApiCallsTotal } from './metrics.js';
+
+const API_URL = 'https://api.github.com';
+
+/**
+ * Build a GitHub client for one account. Every call is counted per endpoint in /api/metrics.
+ * @param {Object} options - { username, token, http } where http defaults to axios
+ * @returns {Object} - { username, isConfigured, getUser(), getRepos() }
+ */
+export const createGithubClient = ({ username, token, http = axios }) => {
+  const get = async (endpoint, path) => {
+    try {
+      const response = await http.get(`${API_URL}${path}`, {
+        headers: {
+          'Authorization': `token ${token}`,
+          'Accept': 'application/vnd.github.v3+json'
+        }
+      });
+      githubApiCallsTotal.inc({ endpoint, status: response.status });
+      return response.data;
+    } catch (error) {
+      githubApiCallsTotal.inc({ endpoint, status: error.response?.status || 'error' });
+      throw error;
+    }
+  };
+
+  return {
+    username,
+    isConfigured: Boolean(token),
+    getUser: () => get('user', `/users/${username}`),
+    getRepos: () => get('repos', `/users/${username}/repos?per_page=100`)
+  };
+};
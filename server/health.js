@@ -0,0 +1,126 @@
+// server/health.js - Liveness state and dependency checks for readiness probes
+//
+// Each check reports { status, latencyMs, error? }. A failing required
+// dependency makes the instance not ready; a failing optional one only marks
+// it degraded, since the site still works without email, images or GitHub stats.
+import config from '../config/env.js';
+
+// SMTP and Cloudinary checks open network connections, so their result is reused for a while
+const REMOTE_CHECK_TTL_MS = 60 * 1000;
+
+const LIFECYCLE_STATES = ['starting', 'ready', 'draining'];
+
+/**
+ * Where an app is in its lifecycle. Only 'ready' passes the readiness probe.
+ * @param {string} [initial] - 'starting' | 'ready' | 'draining'
+ * @returns {Object} - { get(), set(state) }
+ */
+export const createLifecycle = (initial = 'starting') => {
+  let state;
+
+  const set = (next) => {
+    if (!LIFECYCLE_STATES.includes(next)) throw new Error(`Unknown lifecycle state: ${next}`);
+    state = next;
+  };
+
+  set(initial);
+  return { get: () => state, set };
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Reuse the outcome of a check, failures included, for REMOTE_CHECK_TTL_MS
+const cached = (check) => {
+  let last = null;
+  return async () => {
+    if (!last || Date.now() - last.at >= REMOTE_CHECK_TTL_MS) {
+      let error = null;
+      try {
+        await check();
+      } catch (err) {
+        error = err;
+      }
+      last = { at: Date.now(), error };
+    }
+    if (last.error) throw last.error;
+  };
+};
+
+/**
+ * Dependencies checked by the readiness probe. check() resolves when the
+ * dependency is usable and throws with the reason otherwise.
+ * @param {Object} deps - { db, mailer, storage, githubClient }
+ * @returns {Array}
+ */
+const buildChecks = ({ db, mailer, storage, githubClient }) => [
+  {
+    name: 'database',
+    required: true,
+    check: (timeoutMs) => withTimeout(db.query('SELECT 1'), timeoutMs)
+  },
+  {
+    name: 'smtp',
+    required: false,
+    check: cached(() => withTimeout(mailer.verify(), config.healthCheckTimeoutMs))
+  },
+  {
+    name: 'cloudinary',
+    required: false,
+    check: cached(() => withTimeout(storage.ping(), config.healthCheckTimeoutMs))
+  },
+  {
+    name: 'github',
+    required: false,
+    check: async () => {
+      if (!githubClient.isConfigured) throw new Error('Missing GITHUB_TOKEN');
+    }
+  }
+];
+
+const runCheck = async ({ name, required, check }, timeoutMs) => {
+  const start = process.hrtime.bigint();
+  try {
+    await check(timeoutMs);
+    return { name, required, status: 'up', latencyMs: Number(process.hrtime.bigint() - start) / 1e6 };
+  } catch (error) {
+    return {
+      name,
+      required,
+      status: required ? 'down' : 'degraded',
+      latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Build the readiness check for a set of collaborators
+ * @param {Object} deps - { db, mailer, storage, githubClient, lifecycle }
+ * @returns {Function} - async () => { ready, status, lifecycle, checks }
+ *   status is 'ok', 'degraded' (an optional dependency failed) or 'unavailable'
+ */
+export const createReadinessCheck = (deps) => {
+  const dependencies = buildChecks(deps);
+
+  return async () => {
+    const timeoutMs = config.healthCheckTimeoutMs;
+    const results = await Promise.all(dependencies.map(check => runCheck(check, timeoutMs)));
+
+    const checks = Object.fromEntries(results.map(({ name, ...result }) => [name, result]));
+    const dependenciesUp = results.every(result => result.status !== 'down');
+    const lifecycle = deps.lifecycle.get();
+    const ready = lifecycle === 'ready' && dependenciesUp;
+
+    let status = 'ok';
+    if (!ready) status = 'unavailable';
+    else if (results.some(result => result.status === 'degraded')) status = 'degraded';
+
+    return { ready, status, lifecycle, checks };
+  };
+};
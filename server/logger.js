@@ -0,0 +1,81 @@
+// server/logger.js - Leveled structured logger
+//
+// Every entry is one JSON line: { time, level, msg, ...bindings, ...fields }.
+// Levels below LOG_LEVEL (default "info") are dropped; error and fatal go to
+// stderr, everything else to stdout. Fields whose name looks sensitive
+// (passwords, tokens, secrets, cookies, IPs) are redacted at any depth.
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60 };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|totp|hash|^ip$|ip_?address|client_?ip|forwarded|real[-_]?ip/i;
+const MAX_DEPTH = 6;
+
+// Read from process.env rather than config/env.js, which itself logs through
+// this module; the lookup is lazy so levels set in .env files still apply
+const getThreshold = () => LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack
+});
+
+/**
+ * Copy a value with sensitive fields replaced by [REDACTED]
+ * @param {*} value
+ * @returns {*}
+ */
+export const redact = (value, depth = 0) => {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (LEVELS[level] < getThreshold()) return;
+
+  // logger.error('...', error) is shorthand for { err: error }
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact({ ...bindings, ...extra })
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+  (LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Create a logger whose entries all carry the given fields
+ * @param {Object} bindings - e.g. { requestId }
+ * @returns {Object} - { trace, debug, info, warn, error, fatal, child }
+ */
+export const createLogger = (bindings = {}) => {
+  const log = Object.fromEntries(
+    Object.keys(LEVELS).map(level => [level, (msg, fields) => write(level, bindings, msg, fields)])
+  );
+  log.child = (extra) => createLogger({ ...bindings, ...extra });
+  return log;
+};
+
+const logger = createLogger();
+
+export default logger;
@@ -0,0 +1,166 @@
+// server/loginThrottle.js - Failed-login tracking, backoff and lockout for admin login
+import { db } from './db.js';
+import { AppError } from './errors.js';
+import logger from './logger.js';
+import config from '../config/env.js';
+
+// After this many consecutive failures each further attempt has to wait 1s, 2s, 4s, ...
+const BACKOFF_AFTER_FAILURES = config.loginBackoffAfter;
+const MAX_BACKOFF_SECONDS = 60;
+// After this many consecutive failures the account is locked
+const LOCKOUT_AFTER_FAILURES = config.loginLockoutAfter;
+const LOCKOUT_MINUTES = config.loginLockoutMinutes;
+// Failed attempts allowed from one IP (across all accounts) per window
+const IP_MAX_FAILURES = config.loginIpMaxFailures;
+const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Store a login attempt so admins can see who is hammering the login
+ * @param {Object} attempt - { email, ipAddress, userAgent, success, reason }
+ * @param {Object} [tx] - Database handle
+ */
+export const recordLoginAttempt = async ({ email, ipAddress, userAgent, success, reason = null }, tx = db) => {
+  try {
+    await tx.query(`
+      INSERT INTO login_attempts (email, ip_address, user_agent, success, reason)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [email || null, ipAddress, userAgent || null, success, reason]);
+  } catch (error) {
+    // Never fail a login because the audit insert failed
+    logger.error('Login attempt record error', { reason: error.message });
+  }
+};
+
+/**
+ * Check whether an IP has too many recent failures
+ * @param {string} ipAddress - Client IP
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>} - { status: 429, retryAfter, message } when blocked, otherwise null
+ */
+export const checkIpThrottle = async (ipAddress, tx = db) => {
+  if (!ipAddress) return null;
+  const rows = await tx.query(`
+    SELECT COUNT(*)::int AS failures,
+           CEIL(EXTRACT(EPOCH FROM (MIN(created_at) + make_interval(mins => $2) - CURRENT_TIMESTAMP)))::int AS retry_after
+    FROM login_attempts
+    WHERE ip_address = $1 AND success = FALSE
+      AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+  `, [ipAddress, IP_WINDOW_MINUTES]);
+
+  const { failures, retry_after: retryAfter } = rows[0];
+  if (failures < IP_MAX_FAILURES) return null;
+
+  return {
+    status: 429,
+    retryAfter: Math.max(retryAfter || 1, 1),
+    message: 'Too many failed login attempts from this address. Please try again later.'
+  };
+};
+
+/**
+ * Check whether an account is locked or still inside its backoff delay.
+ * The row stays locked until tx ends, so run it inside a transaction (see
+ * attemptWithAccountThrottle).
+ * @param {number} userId - User ID
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object|null>} - { status: 423|429, retryAfter, message } when blocked, otherwise null
+ */
+export const checkAccountThrottle = async (userId, tx) => {
+  const rows = await tx.query(`
+    SELECT failed_login_count,
+           CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)))::int AS locked_seconds,
+           FLOOR(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failed_login_at)))::int AS seconds_since_failure
+    FROM users
+    WHERE id = $1
+    FOR UPDATE
+  `, [userId]);
+  if (rows.length === 0) return null;
+
+  const { failed_login_count: failures, locked_seconds: lockedSeconds, seconds_since_failure: sinceFailure } = rows[0];
+
+  if (lockedSeconds > 0) {
+    return {
+      status: 423,
+      retryAfter: lockedSeconds,
+      message: 'Account is temporarily locked after too many failed login attempts.'
+    };
+  }
+
+  if (failures >= BACKOFF_AFTER_FAILURES && sinceFailure !== null) {
+    const delay = Math.min(2 ** (failures - BACKOFF_AFTER_FAILURES), MAX_BACKOFF_SECONDS);
+    if (sinceFailure < delay) {
+      return {
+        status: 429,
+        retryAfter: delay - sinceFailure,
+        message: 'Too many failed login attempts. Please wait before trying again.'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a credential for an account with its throttle state locked, so
+ * parallel attempts are decided one after another and each one sees the
+ * failures counted before it. A wrong credential is counted before the lock
+ * is released.
+ * @param {number} userId - User ID
+ * @param {Function} verify - async (tx) => whether the credential is right
+ * @param {Object} [database] - Database handle
+ * @returns {Promise<Object>} - { block } when throttled, otherwise { valid }
+ */
+export const attemptWithAccountThrottle = async (userId, verify, database = db) => database.withTransaction(async (tx) => {
+  const block = await checkAccountThrottle(userId, tx);
+  if (block) return { block };
+
+  const valid = await verify(tx);
+  if (!valid) await registerAccountFailure(userId, tx);
+  return { valid };
+});
+
+/**
+ * Count a failed login against an account, locking it once the limit is hit.
+ * The counter restarts after a lockout so backoff begins again when it ends.
+ * @param {number} userId - User ID
+ * @param {Object} [tx] - Database handle
+ */
+export const registerAccountFailure = async (userId, tx = db) => {
+  await tx.query(`
+    UPDATE users
+    SET last_failed_login_at = CURRENT_TIMESTAMP,
+        locked_until = CASE WHEN failed_login_count + 1 >= $2
+          THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+          ELSE locked_until END,
+        failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END
+    WHERE id = $1
+  `, [userId, LOCKOUT_AFTER_FAILURES, LOCKOUT_MINUTES]);
+};
+
+/**
+ * Clear the failure counter and any lock on an account (successful login or admin unlock)
+ * @param {number} userId - User ID
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<boolean>} - Whether the user exists
+ */
+export const resetAccountThrottle = async (userId, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE users
+    SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = $1
+    RETURNING id
+  `, [userId]);
+  return rows.length > 0;
+};
+
+/**
+ * Build the error for a throttled login (429 or 423, with Retry-After)
+ * @param {Object} block - Result of checkIpThrottle/checkAccountThrottle
+ * @returns {AppError}
+ */
+export const throttleError = (block) => new AppError(block.message, {
+  status: block.status,
+  code: block.status === 423 ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+  details: { retryAfter: block.retryAfter },
+  headers: { 'Retry-After': String(block.retryAfter) }
+});
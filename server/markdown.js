@@ -0,0 +1,147 @@
+// server/markdown.js - Markdown to sanitized HTML for blog posts
+//
+// Code blocks are highlighted with highlight.js, headings get ids and
+// permalinks, footnotes are supported, and the table of contents is built
+// from the headings. Raw HTML in the source is allowed but everything goes
+// through an allowlist sanitizer, so scripts, event handlers and javascript:
+// URLs never reach the output.
+import MarkdownIt from 'markdown-it';
+import markdownItAnchor from 'markdown-it-anchor';
+import markdownItFootnote from 'markdown-it-footnote';
+import hljs from 'highlight.js';
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * Bump whenever the output changes (plugins, options, sanitizer rules) so
+ * stored HTML is re-rendered the next time a post is read.
+ */
+export const RENDER_VERSION = 2;
+
+// Headings deeper than this stay out of the table of contents
+const TOC_MAX_LEVEL = 3;
+
+// Every id the renderer generates carries this prefix (footnotes as fn-post-1
+// and fnref-post-1), so post ids can't clash with or clobber the page's own.
+// Ids without it, e.g. from raw HTML, are dropped by the sanitizer.
+const ID_PREFIX = 'post-';
+const FOOTNOTE_DOC_ID = 'post';
+const GENERATED_ID = /^(?:post-|fn-post-|fnref-post-)/;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const slugify = (text) => ID_PREFIX + text
+  .trim()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .replace(/\s+/g, '-');
+
+const highlight = (code, language) => {
+  const lang = hljs.getLanguage(language) ? language : null;
+  const body = lang ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value : escapeHtml(code);
+  return `<pre><code class="hljs${lang ? ` language-${lang}` : ''}">${body}</code></pre>`;
+};
+
+const md = new MarkdownIt({ html: true, linkify: true, typographer: true, highlight })
+  .use(markdownItAnchor, {
+    slugify,
+    tabIndex: false,
+    permalink: markdownItAnchor.permalink.headerLink()
+  })
+  .use(markdownItFootnote);
+
+const keepGeneratedId = (tagName, attribs) => {
+  if (attribs.id === undefined || GENERATED_ID.test(attribs.id)) return { tagName, attribs };
+  const { id, ...rest } = attribs;
+  return { tagName, attribs: rest };
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 's', 'ins', 'sup', 'sub', 'section', 'details', 'summary'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'id', 'class', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    li: ['id', 'class'],
+    ol: ['start', 'class'],
+    sup: ['class'],
+    section: ['class'],
+    hr: ['class'],
+    code: ['class'],
+    span: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*', '*_'],
+    a: ['header-anchor', 'footnote-ref', 'footnote-backref'],
+    sup: ['footnote-ref'],
+    section: ['footnotes'],
+    ol: ['footnotes-list'],
+    li: ['footnote-item'],
+    hr: ['footnotes-sep']
+  },
+  // Table column alignment from Markdown tables
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links that leave the page must not get a handle on it
+    a: (tagName, attribs) => keepGeneratedId(tagName, (
+      /^https?:/i.test(attribs.href || '')
+        ? { ...attribs, target: '_blank', rel: 'noopener noreferrer' }
+        : attribs
+    )),
+    h1: keepGeneratedId,
+    h2: keepGeneratedId,
+    h3: keepGeneratedId,
+    h4: keepGeneratedId,
+    h5: keepGeneratedId,
+    h6: keepGeneratedId,
+    li: keepGeneratedId
+  }
+};
+
+const inlineText = (token) => (token.children || [])
+  .filter(child => child.type === 'text' || child.type === 'code_inline')
+  .map(child => child.content)
+  .join('');
+
+const tableOfContents = (tokens) => tokens.flatMap((token, i) => {
+  if (token.type !== 'heading_open') return [];
+  const level = Number(token.tag.slice(1));
+  if (level > TOC_MAX_LEVEL) return [];
+  return [{ level, id: token.attrGet('id'), text: inlineText(tokens[i + 1]) }];
+});
+
+/**
+ * Run HTML through the same allowlist as rendered posts. Stored HTML is
+ * passed through this before it is served, so rows written outside the
+ * renderer (restores, manual edits) can't smuggle in scripts.
+ * @param {string} html
+ * @returns {string}
+ */
+export const sanitizeRenderedHtml = (html) => sanitizeHtml(html || '', SANITIZE_OPTIONS);
+
+/**
+ * Render a blog post body
+ * @param {string} source - Markdown (may contain HTML)
+ * @returns {Object} - { html, toc } where toc is [{ level, id, text }] in document order
+ */
+export const renderMarkdown = (source) => {
+  const env = { docId: FOOTNOTE_DOC_ID };
+  const tokens = md.parse(source || '', env);
+  const html = sanitizeRenderedHtml(md.renderer.render(tokens, md.options, env));
+  return { html, toc: tableOfContents(tokens) };
+};
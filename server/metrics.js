@@ -0,0 +1,205 @@
+// server/metrics.js - In-process metrics in the Prometheus text format
+//
+// Counters and histograms are updated as things happen; gauges are read when
+// /api/metrics is scraped. Label values must stay low-cardinality (route
+// patterns, status codes, outcomes), never ids or emails.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Key a series by its label values, in the declared label order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+/**
+ * A set of metrics rendered together
+ * @returns {Object} - { counter, histogram, gauge, render() } where render() returns exposition lines
+ */
+const createRegistry = () => {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  /**
+   * Monotonic counter
+   * @param {Object} options - { name, help, labelNames }
+   * @returns {Object} - { inc(labels, value) }
+   */
+  const counter = ({ name, help, labelNames = [] }) => {
+    const series = new Map();
+
+    return register({
+      inc: (labels = {}, value = 1) => {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ]
+    });
+  };
+
+  /**
+   * Histogram with cumulative buckets
+   * @param {Object} options - { name, help, labelNames, buckets }
+   * @returns {Object} - { observe(labels, value) }
+   */
+  const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+    const series = new Map();
+
+    return register({
+      observe: (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      },
+      render: () => {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+  };
+
+  /**
+   * Gauge whose values are read at scrape time
+   * @param {Object} options - { name, help, collect } where collect() returns [{ labels, value }]
+   */
+  const gauge = ({ name, help, collect }) => register({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  });
+
+  return { counter, histogram, gauge, render: () => metrics.flatMap(metric => metric.render()) };
+};
+
+// Outbound services and the process itself. The default mailer, Cloudinary
+// storage and GitHub client are shared by the whole process, and so are these.
+const processMetrics = createRegistry();
+
+export const emailsSentTotal = processMetrics.counter({
+  name: 'emails_sent_total',
+  help: 'Emails handed to the SMTP server, by type',
+  labelNames: ['type']
+});
+
+export const emailsFailedTotal = processMetrics.counter({
+  name: 'emails_failed_total',
+  help: 'Emails that could not be sent, by type',
+  labelNames: ['type']
+});
+
+export const cloudinaryUploadsTotal = processMetrics.counter({
+  name: 'cloudinary_uploads_total',
+  help: 'Cloudinary uploads by result',
+  labelNames: ['result']
+});
+
+export const githubApiCallsTotal = processMetrics.counter({
+  name: 'github_api_calls_total',
+  help: 'GitHub API calls by endpoint and response status ("error" when there was no response)',
+  labelNames: ['endpoint', 'status']
+});
+
+processMetrics.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => [{ value: process.memoryUsage().rss }]
+});
+
+processMetrics.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: () => [{ value: process.memoryUsage().heapUsed }]
+});
+
+processMetrics.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  collect: () => [{ value: process.uptime() }]
+});
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Metrics of one app: its HTTP traffic, response cache, rate limits, CORS
+ * rejections and database pool. createApp builds one per app.
+ * @param {Object} [options] - { pool } where pool is the pg Pool reported in pg_pool_clients
+ * @returns {Object} - The app's counters and histograms, and render() for the
+ *   Prometheus text exposition (process-wide metrics included)
+ */
+export const createMetrics = ({ pool = null } = {}) => {
+  const registry = createRegistry();
+
+  const metrics = {
+    httpRequestsTotal: registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpRequestDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method, route and status',
+      labelNames: ['method', 'route', 'status']
+    }),
+    responseCacheTotal: registry.counter({
+      name: 'http_response_cache_total',
+      help: 'Public GETs answered from the in-process response cache (hit) or the database (miss), by resource',
+      labelNames: ['resource', 'result']
+    }),
+    rateLimitedTotal: registry.counter({
+      name: 'http_rate_limited_total',
+      help: 'Requests rejected with 429 by a rate limit policy',
+      labelNames: ['policy']
+    }),
+    corsRejectedTotal: registry.counter({
+      name: 'http_cors_rejected_total',
+      help: 'Requests from origins outside the CORS allowlist, by policy mode (rejected when enforcing, only logged in report-only)',
+      labelNames: ['mode']
+    })
+  };
+
+  registry.gauge({
+    name: 'pg_pool_clients',
+    help: 'PostgreSQL pool clients: total, idle, and queued requests waiting for one',
+    collect: () => (pool ? [
+      { labels: { state: 'total' }, value: pool.totalCount },
+      { labels: { state: 'idle' }, value: pool.idleCount },
+      { labels: { state: 'waiting' }, value: pool.waitingCount }
+    ] : [])
+  });
+
+  return {
+    ...metrics,
+    render: () => `${[...registry.render(), ...processMetrics.render()].join('\n')}\n`
+  };
+};
@@ -0,0 +1,207 @@
+// server/migrate.js - Versioned schema migrations
+//
+// Migrations live in server/migrations as NNN_description.js and export
+// `up(client)` and `down(client)`. Each one runs in its own transaction and is
+// recorded in schema_migrations. A Postgres advisory lock makes sure two
+// instances booting at the same time don't migrate concurrently.
+//
+// Usage: node server/migrate.js up | down [steps] | status
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { db } from './db.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary constant shared by every instance of this app
+const MIGRATION_LOCK_ID = 7261984;
+
+const loadMigrations = async () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}_[\w-]+\.js$/.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({
+      version: parseInt(file.slice(0, 3), 10),
+      name: file.replace(/\.js$/, ''),
+      up: module.up,
+      down: module.down
+    });
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+};
+
+// Runs fn with a dedicated client holding the migration lock
+const withMigrationLock = async (database, fn) => {
+  const client = await database.pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Apply every pending migration in order
+ * @param {Object} database - Database handle (see createDatabase in server/db.js)
+ * @returns {Promise<string[]>} - Names of the migrations that were applied
+ */
+export const migrateUp = async (database = db) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(database, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.includes(m.version));
+    if (pending.length === 0) {
+      logger.info('Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      logger.info('Applying migration', { migration: migration.name });
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+      logger.info('Applied migration', { migration: migration.name });
+    }
+    return pending.map(m => m.name);
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number|string} steps - How many migrations to roll back (an integer >= 1), or 'all'
+ * @param {Object} database - Database handle (see createDatabase in server/db.js)
+ * @returns {Promise<string[]>} - Names of the migrations that were rolled back
+ */
+export const migrateDown = async (steps = 1, database = db) => {
+  if (steps !== 'all' && !(Number.isInteger(steps) && steps >= 1)) {
+    throw new Error(`Invalid number of steps "${steps}". Use an integer of 1 or more, or 'all'.`);
+  }
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(database, async (client) => {
+    const applied = await getAppliedVersions(client);
+    // slice(-0) would return every version, so 'all' is the only way to get there
+    const toRollBack = (steps === 'all' ? applied.slice() : applied.slice(-steps)).reverse();
+    const rolledBack = [];
+
+    for (const version of toRollBack) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) throw new Error(`Migration file for applied version ${version} is missing`);
+
+      logger.info('Rolling back migration', { migration: migration.name });
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+      logger.info('Rolled back migration', { migration: migration.name });
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+};
+
+/**
+ * List every known migration and whether it has been applied
+ * @param {Object} database - Database handle (see createDatabase in server/db.js)
+ * @returns {Promise<Array>} - [{ version, name, applied, appliedAt }]
+ */
+export const getMigrationStatus = async (database = db) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(database, async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedAt.has(m.version),
+      appliedAt: appliedAt.get(m.version) || null
+    }));
+  });
+};
+
+// CLI entrypoint
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      await migrateUp();
+    } else if (command === 'down') {
+      let steps = 1;
+      if (arg === '--all') {
+        steps = 'all';
+      } else if (arg !== undefined) {
+        if (!/^\d+$/.test(arg) || Number(arg) < 1) {
+          throw new Error(`Invalid number of steps "${arg}". Use down <steps> with steps >= 1, or down --all.`);
+        }
+        steps = Number(arg);
+      }
+      const rolledBack = await migrateDown(steps);
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      status.forEach(m => {
+        console.log(`${m.applied ? '✔ applied' : '✗ pending'}  ${m.name}${m.appliedAt ? `  (${new Date(m.appliedAt).toISOString()})` : ''}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps|--all] or status.`);
+    }
+  };
+
+  run()
+    .then(() => db.end())
+    .catch(async (error) => {
+      console.error('✗ Migration failed:', error.message);
+      await db.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,380 @@
+// server/migrations/001_initial_schema.js - Baseline schema (everything initDatabase used to create)
+// Every statement is idempotent so this can be applied to databases created by the old initDatabase.
+
+export const up = async (client) => {
+  // Create users table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      role VARCHAR(50) DEFAULT 'user',
+      permissions JSONB DEFAULT '[]'::jsonb,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS permissions JSONB DEFAULT '[]'::jsonb`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INT DEFAULT 0`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP NULL`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP NULL`);
+  await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS invited_by INT NULL`);
+
+  // Create user_sessions table (refresh tokens / revocation)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      user_agent TEXT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)`);
+
+  // Create user_recovery_codes table (2FA fallback codes)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create password_reset_tokens table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create login_attempts table (brute-force tracking)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255),
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at)`);
+
+  // Create api_keys table (scoped keys for CI scripts / CLI)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash VARCHAR(64) NOT NULL UNIQUE,
+      scopes JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP NULL,
+      expires_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create audit_log table (who changed what)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id INT NULL,
+      actor_email VARCHAR(255),
+      api_key_id INT NULL,
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(64),
+      before_data JSONB,
+      after_data JSONB,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)`);
+
+  // Create skills table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS skills (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      level VARCHAR(50) NOT NULL CHECK (level IN ('Beginner', 'Intermediate', 'Expert')),
+      category VARCHAR(100) NOT NULL,
+      iconUrl VARCHAR(255),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create trigger function for updatedAt
+  await client.query(`
+    CREATE OR REPLACE FUNCTION update_updated_at_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.updatedAt = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql'
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS update_skills_updated_at ON skills`);
+  await client.query(`
+    CREATE TRIGGER update_skills_updated_at
+    BEFORE UPDATE ON skills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column()
+  `);
+
+  // Create projects table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      technologies TEXT NOT NULL,
+      repoLink VARCHAR(255),
+      liveLink VARCHAR(255),
+      imageUrl VARCHAR(500),
+      cloudinary_public_id VARCHAR(255),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS update_projects_updated_at ON projects`);
+  await client.query(`
+    CREATE TRIGGER update_projects_updated_at
+    BEFORE UPDATE ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column()
+  `);
+
+  // Create journey_items table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS journey_items (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      company VARCHAR(255) NOT NULL,
+      description TEXT,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      type VARCHAR(50) NOT NULL CHECK (type IN ('education', 'work', 'project', 'achievement')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS update_journey_items_updated_at ON journey_items`);
+  await client.query(`
+    CREATE TRIGGER update_journey_items_updated_at
+    BEFORE UPDATE ON journey_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column()
+  `);
+
+  // Create contact_messages table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS contact_messages (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create github_stats table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS github_stats (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) NOT NULL UNIQUE,
+      public_repos INT DEFAULT 0,
+      followers INT DEFAULT 0,
+      following INT DEFAULT 0,
+      total_commits INT DEFAULT 0,
+      total_stars INT DEFAULT 0,
+      total_forks INT DEFAULT 0,
+      languages JSONB,
+      repositories JSONB,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION update_last_updated_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.last_updated = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql'
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS update_github_stats_last_updated ON github_stats`);
+  await client.query(`
+    CREATE TRIGGER update_github_stats_last_updated
+    BEFORE UPDATE ON github_stats
+    FOR EACH ROW
+    EXECUTE FUNCTION update_last_updated_column()
+  `);
+
+  // Create visitor_analytics table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS visitor_analytics (
+      id SERIAL PRIMARY KEY,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      page_url VARCHAR(500),
+      referrer VARCHAR(500),
+      device_type VARCHAR(50),
+      browser VARCHAR(100),
+      os VARCHAR(100),
+      country VARCHAR(100),
+      city VARCHAR(100),
+      session_id VARCHAR(255),
+      visit_duration INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create daily_analytics table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS daily_analytics (
+      id SERIAL PRIMARY KEY,
+      date DATE NOT NULL UNIQUE,
+      total_visitors INT DEFAULT 0,
+      unique_visitors INT DEFAULT 0,
+      page_views INT DEFAULT 0,
+      bounce_rate DECIMAL(5,2) DEFAULT 0,
+      avg_session_duration INT DEFAULT 0,
+      top_pages JSONB,
+      top_referrers JSONB,
+      device_breakdown JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create blog_posts table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_posts (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      slug VARCHAR(255) NOT NULL UNIQUE,
+      content TEXT NOT NULL,
+      excerpt TEXT,
+      category VARCHAR(100),
+      featured_image VARCHAR(255),
+      tags JSONB,
+      status VARCHAR(50) DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+      author_id INT,
+      views INT DEFAULT 0,
+      likes INT DEFAULT 0,
+      reading_time INT DEFAULT 5,
+      featured BOOLEAN DEFAULT FALSE,
+      published_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS update_blog_posts_updated_at ON blog_posts`);
+  await client.query(`
+    CREATE TRIGGER update_blog_posts_updated_at
+    BEFORE UPDATE ON blog_posts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column()
+  `);
+
+  // Create blog_comments table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_comments (
+      id SERIAL PRIMARY KEY,
+      post_id INT NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      comment TEXT NOT NULL,
+      status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create chat_conversations table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_conversations (
+      id SERIAL PRIMARY KEY,
+      session_id VARCHAR(255) NOT NULL,
+      user_message TEXT NOT NULL,
+      bot_response TEXT NOT NULL,
+      category VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create chat_stats table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_stats (
+      id SERIAL PRIMARY KEY,
+      date DATE NOT NULL UNIQUE,
+      total_messages INT DEFAULT 0,
+      unique_sessions INT DEFAULT 0,
+      popular_categories JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+};
+
+export const down = async (client) => {
+  const tables = [
+    'chat_stats',
+    'chat_conversations',
+    'blog_comments',
+    'blog_posts',
+    'daily_analytics',
+    'visitor_analytics',
+    'github_stats',
+    'contact_messages',
+    'journey_items',
+    'projects',
+    'skills',
+    'audit_log',
+    'api_keys',
+    'login_attempts',
+    'password_reset_tokens',
+    'user_recovery_codes',
+    'user_sessions',
+    'users'
+  ];
+  for (const table of tables) {
+    await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+  }
+  await client.query('DROP FUNCTION IF EXISTS update_updated_at_column()');
+  await client.query('DROP FUNCTION IF EXISTS update_last_updated_column()');
+};
@@ -0,0 +1,38 @@
+// server/migrations/002_fix_snake_case_updated_at_triggers.js
+// blog_posts and journey_items use updated_at, but their triggers called
+// update_updated_at_column(), which sets updatedAt and fails on every UPDATE.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION update_updated_at_snake_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.updated_at = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql'
+  `);
+
+  for (const table of ['blog_posts', 'journey_items']) {
+    await client.query(`DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table}`);
+    await client.query(`
+      CREATE TRIGGER update_${table}_updated_at
+      BEFORE UPDATE ON ${table}
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_snake_column()
+    `);
+  }
+};
+
+export const down = async (client) => {
+  for (const table of ['blog_posts', 'journey_items']) {
+    await client.query(`DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table}`);
+    await client.query(`
+      CREATE TRIGGER update_${table}_updated_at
+      BEFORE UPDATE ON ${table}
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column()
+    `);
+  }
+  await client.query('DROP FUNCTION IF EXISTS update_updated_at_snake_column()');
+};
@@ -0,0 +1,37 @@
+// server/migrations/003_soft_delete.js
+// Content rows are moved to the trash (deleted_at) instead of being deleted;
+// server/trash.js purges them after the retention period.
+
+const TABLES = ['projects', 'skills', 'journey_items', 'blog_posts'];
+
+export const up = async (client) => {
+  for (const table of TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at
+      ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL
+    `);
+  }
+
+  // A trashed post keeps its slug, so only live posts need unique slugs
+  await client.query('ALTER TABLE blog_posts DROP CONSTRAINT IF EXISTS blog_posts_slug_key');
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS blog_posts_slug_live_key
+    ON blog_posts(slug) WHERE deleted_at IS NULL
+  `);
+};
+
+export const down = async (client) => {
+  // Anything still in the trash is gone for good once the column is dropped
+  for (const table of TABLES) {
+    await client.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+  }
+
+  await client.query('DROP INDEX IF EXISTS blog_posts_slug_live_key');
+  await client.query('ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_slug_key UNIQUE (slug)');
+
+  for (const table of TABLES) {
+    await client.query(`DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+  }
+};
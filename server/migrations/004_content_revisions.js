@@ -0,0 +1,23 @@
+// server/migrations/004_content_revisions.js
+// Revision history for blog posts and projects (see server/revisions.js).
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS content_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL,
+      revision INT NOT NULL,
+      data JSONB NOT NULL,
+      author_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      author_email VARCHAR(255),
+      restored_from INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (entity_type, entity_id, revision)
+    )
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS content_revisions');
+};
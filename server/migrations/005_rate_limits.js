@@ -0,0 +1,23 @@
+// server/migrations/005_rate_limits.js
+// Token buckets for rate-limited public endpoints (see server/rateLimit.js).
+// A missing row is a full bucket, so old rows can be deleted at any time.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      policy VARCHAR(50) NOT NULL,
+      key VARCHAR(255) NOT NULL,
+      tokens DOUBLE PRECISION NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (policy, key)
+    )
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated_at
+    ON rate_limit_buckets(policy, updated_at)
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS rate_limit_buckets');
+};
@@ -0,0 +1,18 @@
+// server/migrations/006_cors_origins.js
+// Admin-managed CORS origins, allowed on top of CORS_ALLOWED_ORIGINS (see server/cors.js).
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cors_origins (
+      id SERIAL PRIMARY KEY,
+      pattern VARCHAR(255) UNIQUE NOT NULL,
+      note VARCHAR(255),
+      created_by INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS cors_origins');
+};
@@ -0,0 +1,21 @@
+// server/migrations/007_blog_rendered_content.js
+// Rendered HTML and table of contents stored next to the Markdown source
+// (see server/markdown.js). Existing posts are rendered the first time they are read.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE blog_posts
+      ADD COLUMN IF NOT EXISTS content_html TEXT,
+      ADD COLUMN IF NOT EXISTS content_toc JSONB,
+      ADD COLUMN IF NOT EXISTS content_render_version INT
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE blog_posts
+      DROP COLUMN IF EXISTS content_html,
+      DROP COLUMN IF EXISTS content_toc,
+      DROP COLUMN IF EXISTS content_render_version
+  `);
+};
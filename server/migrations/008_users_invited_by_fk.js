@@ -0,0 +1,19 @@
+// server/migrations/008_users_invited_by_fk.js
+// users.invited_by points at the inviting user; it is cleared when that user is deleted.
+
+export const up = async (client) => {
+  // Inviters deleted before the constraint existed
+  await client.query(`
+    UPDATE users SET invited_by = NULL
+    WHERE invited_by IS NOT NULL AND invited_by NOT IN (SELECT id FROM users)
+  `);
+  await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_invited_by_fkey');
+  await client.query(`
+    ALTER TABLE users ADD CONSTRAINT users_invited_by_fkey
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_invited_by_fkey');
+};
@@ -0,0 +1,52 @@
+// server/originPattern.js - Origin patterns for the CORS allowlist
+//
+// A pattern is an origin (scheme://host[:port]) where * may stand for:
+//   - the whole leftmost host label: one or more subdomains (https://*.vercel.app)
+//   - part of a label: https://my-app-*.vercel.app
+//   - the port: any port (http://localhost:*)
+
+const ORIGIN_PATTERN = /^(https?):\/\/([a-z0-9*.-]+)(?::(\d{1,5}|\*))?$/;
+// Host wildcards need at least this many fixed labels after them, so *.app can't allow all of .app
+const MIN_FIXED_LABELS = 2;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const labelRegex = (label, isLeftmost) => {
+  if (label === '*') return isLeftmost ? '[a-z0-9-]+(?:\\.[a-z0-9-]+)*' : '[a-z0-9-]+';
+  return label.split('*').map(escapeRegex).join('[a-z0-9-]*');
+};
+
+/**
+ * Parse and check an allowlist entry
+ * @param {string} pattern - e.g. 'https://example.com' or 'https://*.vercel.app'
+ * @returns {Object} - { pattern (normalized), wildcard, matches(origin) }
+ * @throws {Error} - When the pattern is not a valid origin pattern
+ */
+export const compileOriginPattern = (pattern) => {
+  const normalized = String(pattern).trim().toLowerCase().replace(/\/$/, '');
+  const match = ORIGIN_PATTERN.exec(normalized);
+  if (!match) {
+    throw new Error(`"${pattern}" is not an origin such as https://example.com or https://*.example.com`);
+  }
+
+  const [, scheme, host, port] = match;
+  const labels = host.split('.');
+  if (labels.some(label => label === '')) throw new Error(`"${pattern}" has an empty host label`);
+
+  const hostWildcard = host.includes('*');
+  if (hostWildcard && labels.filter(label => !label.includes('*')).length < MIN_FIXED_LABELS) {
+    throw new Error(`"${pattern}" is too broad: a wildcard needs a domain after it, e.g. https://*.example.com`);
+  }
+
+  let portRegex = '';
+  if (port === '*') portRegex = '(?::\\d{1,5})?';
+  else if (port) portRegex = `:${port}`;
+
+  const regex = new RegExp(`^${scheme}://${labels.map((label, i) => labelRegex(label, i === 0)).join('\\.')}${portRegex}$`);
+
+  return {
+    pattern: normalized,
+    wildcard: hostWildcard || port === '*',
+    matches: (origin) => regex.test(origin.toLowerCase())
+  };
+};
@@ -0,0 +1,57 @@
+// server/passwordReset.js - Single-use, expiring password reset tokens
+import crypto from 'crypto';
+import { db } from './db.js';
+import config from '../config/env.js';
+
+const RESET_TOKEN_TTL_MINUTES = config.resetTokenTtlMinutes;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a reset token for a user. Any earlier unused tokens stop working.
+ * @param {number} userId - User ID
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<string>} - Plain token to put in the emailed link (only its hash is stored)
+ */
+export const createPasswordResetToken = async (userId, ttlMinutes = RESET_TOKEN_TTL_MINUTES, tx = db) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await tx.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  await tx.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))
+  `, [userId, hashToken(token), ttlMinutes]);
+
+  return token;
+};
+
+/**
+ * Mark a reset token as used
+ * @param {string} token - Plain token from the emailed link
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<number|null>} - ID of the user the token belongs to, or null if invalid/expired/used
+ */
+export const consumePasswordResetToken = async (token, tx = db) => {
+  if (typeof token !== 'string' || !token) return null;
+  const rows = await tx.query(`
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token)]);
+  return rows[0]?.user_id ?? null;
+};
+
+/**
+ * Build the frontend link that lets a user pick a new password
+ * @param {string} token - Plain reset token
+ * @returns {string} - URL
+ */
+export const buildResetPasswordUrl = (token) => {
+  const frontendUrl = config.frontendUrl || 'http://localhost:5173';
+  return `${frontendUrl}/admin/reset-password?token=${encodeURIComponent(token)}`;
+};
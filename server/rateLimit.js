@@ -0,0 +1,96 @@
+// server/rateLimit.js - Token buckets in Postgres for rate-limited endpoints
+//
+// Each (policy, key) bucket holds up to `limit` tokens and refills at
+// limit / windowSeconds tokens per second; every request takes one token.
+// Buckets live in rate_limit_buckets, so limits survive restarts and are
+// shared by every instance.
+import crypto from 'crypto';
+import { createBackgroundQueue } from './background.js';
+import { systemClock } from './clock.js';
+import { createMetrics } from './metrics.js';
+
+// rate_limit_buckets.key is VARCHAR(255); longer keys are stored as their hash
+const MAX_KEY_LENGTH = 255;
+
+// How often each policy deletes buckets that have refilled completely
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tokens in the stored bucket after refilling up to now ($3 = limit, $4 = tokens per second)
+const REFILLED = `LEAST($3::float8, rate_limit_buckets.tokens
+  + GREATEST(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - rate_limit_buckets.updated_at))::float8, 0) * $4::float8)`;
+
+const storedKey = (key) => (
+  key.length > MAX_KEY_LENGTH
+    ? `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`
+    : key
+);
+
+/**
+ * Build the Postgres-backed bucket store
+ * @param {Object} db - Database handle
+ * @param {Object} [options] - { metrics, background, clock } where metrics (from createMetrics)
+ *   counts rejections per policy, background (from createBackgroundQueue) runs cleanups
+ *   and clock ({ now() }) paces them. Refills use the database clock.
+ * @returns {Object} - { take(policy, key) }
+ */
+export const createRateLimitStore = (db, { metrics = createMetrics(), background = createBackgroundQueue(), clock = systemClock } = {}) => {
+  const lastPruned = new Map();
+
+  // A bucket untouched for a whole window is full, which is the same as no row
+  const prune = (policy) => {
+    const now = clock.now().getTime();
+    if (now - (lastPruned.get(policy.name) || 0) < PRUNE_INTERVAL_MS) return;
+    lastPruned.set(policy.name, now);
+
+    // Not retried: the next prune covers whatever this one missed
+    background.run('rate_limit_prune', () => db.query(`
+      DELETE FROM rate_limit_buckets
+      WHERE policy = $1 AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+    `, [policy.name, policy.windowSeconds]), { attempts: 1 });
+  };
+
+  /**
+   * Take one token from a bucket. The update only happens when a token is
+   * available, so rejected requests don't push the bucket further into debt.
+   * @param {Object} policy - { name, limit, windowSeconds }
+   * @param {string} requestKey - Who is being limited, e.g. 'ip:203.0.113.7'
+   * @returns {Promise<Object>} - { allowed, remaining, resetSeconds, retryAfter }
+   */
+  const take = async (policy, requestKey) => {
+    const { name, limit, windowSeconds } = policy;
+    const key = storedKey(requestKey);
+    const ratePerSecond = limit / windowSeconds;
+    prune(policy);
+
+    const taken = await db.query(`
+      INSERT INTO rate_limit_buckets (policy, key, tokens, updated_at)
+      VALUES ($1, $2, $3::float8 - 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (policy, key) DO UPDATE
+      SET tokens = ${REFILLED} - 1, updated_at = CURRENT_TIMESTAMP
+      WHERE ${REFILLED} >= 1
+      RETURNING tokens
+    `, [name, key, limit, ratePerSecond]);
+
+    let tokens;
+    if (taken.length > 0) {
+      tokens = taken[0].tokens;
+    } else {
+      const rows = await db.query(`
+        SELECT ${REFILLED} AS tokens
+        FROM rate_limit_buckets
+        WHERE policy = $1 AND key = $2
+      `, [name, key, limit, ratePerSecond]);
+      tokens = rows[0]?.tokens ?? 0;
+    }
+
+    if (taken.length === 0) metrics.rateLimitedTotal.inc({ policy: name });
+    return {
+      allowed: taken.length > 0,
+      remaining: Math.max(Math.floor(tokens), 0),
+      resetSeconds: Math.ceil((limit - tokens) / ratePerSecond),
+      retryAfter: taken.length > 0 ? 0 : Math.max(Math.ceil((1 - tokens) / ratePerSecond), 1)
+    };
+  };
+
+  return { take };
+};
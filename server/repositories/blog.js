@@ -0,0 +1,265 @@
+// server/repositories/blog.js - Data access for blog posts
+//
+// Every function takes an optional tx (from withTransaction) as its last
+// argument and runs on the shared pool without one. Trashed rows are invisible here.
+// Writing content also stores its rendered HTML (see server/markdown.js).
+import { db } from '../db.js';
+import { renderMarkdown, sanitizeRenderedHtml, RENDER_VERSION } from '../markdown.js';
+
+// Columns that updatePost may change; anything else is ignored
+const UPDATABLE_COLUMNS = [
+  'title', 'slug', 'excerpt', 'content', 'category', 'featured_image',
+  'tags', 'status', 'featured', 'reading_time', 'published_at'
+];
+
+// Derived from content and written together with it
+export const RENDERED_COLUMNS = ['content_html', 'content_toc', 'content_render_version'];
+
+const JSON_COLUMNS = ['tags', 'content_toc'];
+
+const toColumnValue = (column, value) => (
+  JSON_COLUMNS.includes(column) && value !== null && value !== undefined ? JSON.stringify(value) : value
+);
+
+const renderContent = (content) => {
+  const { html, toc } = renderMarkdown(content);
+  return { content_html: html, content_toc: toc, content_render_version: RENDER_VERSION };
+};
+
+/**
+ * Page through published posts
+ * @param {Object} filters - { category, featured, limit, offset }
+ * @returns {Promise<Object>} - { posts, total }
+ */
+export const listPublishedPosts = async ({ category, featured, limit, offset }, tx = db) => {
+  const conditions = [`status = 'published'`, 'deleted_at IS NULL'];
+  const params = [];
+  if (category) {
+    params.push(category);
+    conditions.push(`category = $${params.length}`);
+  }
+  if (featured === true) conditions.push('featured = true');
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const [posts, totalRows] = await Promise.all([
+    tx.query(`
+      SELECT id, title, excerpt, content, tags, featured_image, author_id, published_at, updated_at, views, likes, reading_time, status, featured, slug
+      FROM blog_posts
+      ${where}
+      ORDER BY published_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    tx.query(`SELECT COUNT(*)::int AS total FROM blog_posts ${where}`, params)
+  ]);
+
+  return { posts, total: totalRows[0]?.total || 0 };
+};
+
+/**
+ * Find a published post by slug
+ * @param {string} slug
+ * @returns {Promise<Object|null>}
+ */
+export const findPublishedPostBySlug = async (slug, tx = db) => {
+  const rows = await tx.query(`
+    SELECT id, title, excerpt, content, category, featured_image, author_id as author, published_at, updated_at, views, likes, reading_time, status, tags, featured, slug,
+           content_html, content_toc, content_render_version
+    FROM blog_posts
+    WHERE slug = $1 AND status = 'published' AND deleted_at IS NULL
+  `, [slug]);
+  return rows[0] || null;
+};
+
+/**
+ * Rendered HTML and table of contents of a post. Posts saved before rendering
+ * existed, or by an older renderer, are rendered now and stored for next time.
+ * Stored HTML is sanitized again on the way out rather than trusted.
+ * @param {Object} post - Row with id, content and the content_* columns
+ * @returns {Promise<Object>} - { html, toc }
+ */
+export const getRenderedContent = async (post, tx = db) => {
+  if (post.content_render_version === RENDER_VERSION && post.content_html !== null) {
+    return { html: sanitizeRenderedHtml(post.content_html), toc: post.content_toc || [] };
+  }
+
+  const rendered = renderContent(post.content);
+  // Matching on content keeps a concurrent edit's fresher HTML; updated_at is
+  // left alone because the post itself didn't change
+  await tx.query(`
+    UPDATE blog_posts SET content_html = $1, content_toc = $2, content_render_version = $3
+    WHERE id = $4 AND content = $5
+  `, [rendered.content_html, toColumnValue('content_toc', rendered.content_toc), RENDER_VERSION, post.id, post.content]);
+
+  return { html: rendered.content_html, toc: rendered.content_toc };
+};
+
+/**
+ * Count a view of a post
+ * @param {number} id
+ * @returns {Promise<number|null>} - New view count, or null when the post doesn't exist
+ */
+export const incrementPostViews = async (id, tx = db) => {
+  const rows = await tx.query('UPDATE blog_posts SET views = COALESCE(views, 0) + 1 WHERE id = $1 AND deleted_at IS NULL RETURNING views', [id]);
+  return rows[0]?.views ?? null;
+};
+
+/**
+ * Count a like of a post in a single statement
+ * @param {number} id
+ * @returns {Promise<number|null>} - New like count, or null when the post doesn't exist
+ */
+export const incrementPostLikes = async (id, tx = db) => {
+  const rows = await tx.query('UPDATE blog_posts SET likes = COALESCE(likes, 0) + 1 WHERE id = $1 AND deleted_at IS NULL RETURNING likes', [id]);
+  return rows[0]?.likes ?? null;
+};
+
+/**
+ * Latest published posts in the same category
+ * @param {string} category
+ * @param {number} excludeId - Post to leave out
+ * @returns {Promise<Array>}
+ */
+export const listRelatedPosts = (category, excludeId, tx = db) => tx.query(`
+  SELECT id, title, excerpt, featured_image, published_at, reading_time, slug
+  FROM blog_posts
+  WHERE category = $1 AND id != $2 AND status = 'published' AND deleted_at IS NULL
+  ORDER BY published_at DESC
+  LIMIT 3
+`, [category, excludeId]);
+
+/**
+ * Published post count per category
+ * @returns {Promise<Array>} - [{ category, count }]
+ */
+export const listPublishedCategories = (tx = db) => tx.query(`
+  SELECT category, COUNT(*)::int as count
+  FROM blog_posts
+  WHERE status = 'published' AND deleted_at IS NULL
+  GROUP BY category
+  ORDER BY count DESC
+`);
+
+/**
+ * Totals over published posts plus the five most recent ones
+ * @returns {Promise<Object>} - { totalPosts, totalViews, totalLikes, featuredPosts, recentPosts }
+ */
+export const getPublishedPostStats = async (tx = db) => {
+  const [totalsRows, recentPosts] = await Promise.all([
+    tx.query(`
+      SELECT
+        COUNT(*)::int AS total_posts,
+        COALESCE(SUM(views), 0)::int AS total_views,
+        COALESCE(SUM(likes), 0)::int AS total_likes,
+        COUNT(*) FILTER (WHERE featured = true)::int AS featured_posts
+      FROM blog_posts
+      WHERE status = 'published' AND deleted_at IS NULL
+    `),
+    tx.query(`
+      SELECT title, published_at, views, likes, slug
+      FROM blog_posts
+      WHERE status = 'published' AND deleted_at IS NULL
+      ORDER BY published_at DESC
+      LIMIT 5
+    `)
+  ]);
+  const totals = totalsRows[0] || {};
+
+  return {
+    totalPosts: totals.total_posts || 0,
+    totalViews: totals.total_views || 0,
+    totalLikes: totals.total_likes || 0,
+    featuredPosts: totals.featured_posts || 0,
+    recentPosts
+  };
+};
+
+/**
+ * Find any live post (including drafts) by id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export const findPostById = async (id, tx = db) => {
+  const rows = await tx.query('SELECT * FROM blog_posts WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Find a post and lock its row until the transaction ends
+ * @param {number} id
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object|null>}
+ */
+export const findPostForUpdate = async (id, tx) => {
+  const rows = await tx.query('SELECT * FROM blog_posts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Insert a post
+ * @param {Object} post - Column values; published_at is set when status is 'published'
+ * @returns {Promise<Object>} - Inserted row
+ */
+export const createPost = async (post, tx = db) => {
+  const rendered = renderContent(post.content);
+  const rows = await tx.query(`
+    INSERT INTO blog_posts
+    (title, excerpt, content, category, featured_image, author_id, reading_time, tags, featured, status, slug, published_at,
+     content_html, content_toc, content_render_version, created_at, updated_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,CURRENT_TIMESTAMP,CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [
+    post.title,
+    post.excerpt ?? null,
+    post.content,
+    post.category ?? null,
+    post.featured_image ?? null,
+    post.author_id ?? null,
+    post.reading_time ?? null,
+    toColumnValue('tags', post.tags ?? null),
+    post.featured ?? false,
+    post.status ?? 'draft',
+    post.slug,
+    post.status === 'published' ? new Date() : null,
+    rendered.content_html,
+    toColumnValue('content_toc', rendered.content_toc),
+    rendered.content_render_version
+  ]);
+  return rows[0];
+};
+
+/**
+ * Update the given columns of a post
+ * @param {number} id
+ * @param {Object} changes - Column values; unknown columns are ignored
+ * @returns {Promise<Object|null>} - Updated row, or null when it doesn't exist
+ */
+export const updatePost = async (id, changes, tx = db) => {
+  const columns = Object.keys(changes).filter(column => UPDATABLE_COLUMNS.includes(column));
+  if (columns.length === 0) return findPostById(id, tx);
+
+  const values = { ...changes };
+  if (columns.includes('content')) {
+    Object.assign(values, renderContent(changes.content));
+    columns.push(...RENDERED_COLUMNS);
+  }
+
+  const setClause = columns.map((column, i) => `${column} = $${i + 1}`).join(', ');
+  const rows = await tx.query(
+    `UPDATE blog_posts SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1} AND deleted_at IS NULL RETURNING *`,
+    [...columns.map(column => toColumnValue(column, values[column])), id]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Move a post to the trash (see server/trash.js for restore and purge)
+ * @param {number} id
+ * @returns {Promise<Object|null>} - Trashed row, or null when it doesn't exist or is already trashed
+ */
+export const trashPost = async (id, tx = db) => {
+  const rows = await tx.query(
+    'UPDATE blog_posts SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+    [id]
+  );
+  return rows[0] || null;
+};
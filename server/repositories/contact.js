@@ -0,0 +1,17 @@
+// server/repositories/contact.js - Data access for contact form messages
+import { db } from '../db.js';
+
+/**
+ * Store a contact form submission
+ * @param {Object} message - { name, email, subject, message }
+ * @param {Object} [tx] - Transaction handle from withTransaction
+ * @returns {Promise<Object>} - Inserted row
+ */
+export const createContactMessage = async ({ name, email, subject, message }, tx = db) => {
+  const rows = await tx.query(`
+    INSERT INTO contact_messages (name, email, subject, message, createdAt)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [name, email, subject, message]);
+  return rows[0];
+};
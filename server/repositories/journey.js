@@ -0,0 +1,78 @@
+// server/repositories/journey.js - Data access for journey/experience items
+//
+// Every function takes an optional tx (from withTransaction) as its last
+// argument and runs on the shared pool without one. Trashed rows are invisible here.
+import { db } from '../db.js';
+
+/**
+ * List all journey items, most recent start date first
+ * @returns {Promise<Array>}
+ */
+export const listJourneyItems = (tx = db) => tx.query('SELECT * FROM journey_items WHERE deleted_at IS NULL ORDER BY start_date DESC');
+
+/**
+ * Find a live journey item by id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export const findJourneyItemById = async (id, tx = db) => {
+  const rows = await tx.query('SELECT * FROM journey_items WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Find a journey item and lock its row until the transaction ends
+ * @param {number} id
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object|null>}
+ */
+export const findJourneyItemForUpdate = async (id, tx) => {
+  const rows = await tx.query('SELECT * FROM journey_items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Insert a journey item
+ * @param {Object} item - { title, company, description, start_date, end_date, type }
+ * @returns {Promise<Object>} - Inserted row
+ */
+export const createJourneyItem = async (item, tx = db) => {
+  const rows = await tx.query(`
+    INSERT INTO journey_items
+    (title, company, description, start_date, end_date, type, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [item.title, item.company, item.description || null, item.start_date, item.end_date || null, item.type]);
+  return rows[0];
+};
+
+/**
+ * Replace the editable fields of a journey item
+ * @param {number} id
+ * @param {Object} item - Same shape as createJourneyItem
+ * @returns {Promise<Object|null>} - Updated row, or null when it doesn't exist
+ */
+export const updateJourneyItem = async (id, item, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE journey_items
+    SET title = $1, company = $2, description = $3,
+        start_date = $4, end_date = $5, type = $6,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7 AND deleted_at IS NULL
+    RETURNING *
+  `, [item.title, item.company, item.description || null, item.start_date, item.end_date || null, item.type, id]);
+  return rows[0] || null;
+};
+
+/**
+ * Move a journey item to the trash (see server/trash.js for restore and purge)
+ * @param {number} id
+ * @returns {Promise<Object|null>} - Trashed row, or null when it doesn't exist or is already trashed
+ */
+export const trashJourneyItem = async (id, tx = db) => {
+  const rows = await tx.query(
+    'UPDATE journey_items SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+    [id]
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,93 @@
+// server/repositories/projects.js - Data access for projects
+//
+// Every function takes an optional tx (from withTransaction) as its last
+// argument and runs on the shared pool without one. Trashed rows are invisible here.
+import { db } from '../db.js';
+
+/**
+ * List all projects, newest first
+ * @returns {Promise<Array>}
+ */
+export const listProjects = (tx = db) => tx.query('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY createdAt DESC');
+
+/**
+ * Find a live project by id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export const findProjectById = async (id, tx = db) => {
+  const rows = await tx.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Find a project and lock its row until the transaction ends
+ * @param {number} id
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object|null>}
+ */
+export const findProjectForUpdate = async (id, tx) => {
+  const rows = await tx.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Insert a project
+ * @param {Object} project - { title, description, technologies[], repoLink, liveLink, imageUrl, cloudinaryPublicId }
+ * @returns {Promise<Object>} - Inserted row
+ */
+export const createProject = async (project, tx = db) => {
+  const rows = await tx.query(`
+    INSERT INTO projects (title, description, technologies, repolink, livelink, imageurl, cloudinary_public_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    project.title,
+    project.description,
+    project.technologies.join(','),
+    project.repoLink || null,
+    project.liveLink || null,
+    project.imageUrl || null,
+    project.cloudinaryPublicId || null
+  ]);
+  return rows[0];
+};
+
+/**
+ * Replace the editable fields of a project
+ * @param {number} id
+ * @param {Object} project - Same shape as createProject
+ * @returns {Promise<Object|null>} - Updated row, or null when it doesn't exist
+ */
+export const updateProject = async (id, project, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE projects
+    SET title = $1, description = $2, technologies = $3, repolink = $4, livelink = $5,
+        imageurl = $6, cloudinary_public_id = $7
+    WHERE id = $8 AND deleted_at IS NULL
+    RETURNING *
+  `, [
+    project.title,
+    project.description,
+    project.technologies.join(','),
+    project.repoLink || null,
+    project.liveLink || null,
+    project.imageUrl || null,
+    project.cloudinaryPublicId || null,
+    id
+  ]);
+  return rows[0] || null;
+};
+
+/**
+ * Move a project to the trash (see server/trash.js for restore and purge)
+ * @param {number} id
+ * @returns {Promise<Object|null>} - Trashed row, or null when it doesn't exist or is already trashed
+ */
+export const trashProject = async (id, tx = db) => {
+  const rows = await tx.query(
+    'UPDATE projects SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+    [id]
+  );
+  return rows[0] || null;
+};
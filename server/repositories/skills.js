@@ -0,0 +1,74 @@
+// server/repositories/skills.js - Data access for skills
+//
+// Every function takes an optional tx (from withTransaction) as its last
+// argument and runs on the shared pool without one. Trashed rows are invisible here.
+import { db } from '../db.js';
+
+/**
+ * List all skills, newest first
+ * @returns {Promise<Array>}
+ */
+export const listSkills = (tx = db) => tx.query('SELECT * FROM skills WHERE deleted_at IS NULL ORDER BY createdAt DESC');
+
+/**
+ * Find a live skill by id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export const findSkillById = async (id, tx = db) => {
+  const rows = await tx.query('SELECT * FROM skills WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Find a skill and lock its row until the transaction ends
+ * @param {number} id
+ * @param {Object} tx - Transaction handle
+ * @returns {Promise<Object|null>}
+ */
+export const findSkillForUpdate = async (id, tx) => {
+  const rows = await tx.query('SELECT * FROM skills WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Insert a skill
+ * @param {Object} skill - { name, level, category, iconUrl }
+ * @returns {Promise<Object>} - Inserted row
+ */
+export const createSkill = async ({ name, level, category, iconUrl }, tx = db) => {
+  const rows = await tx.query(
+    'INSERT INTO skills (name, level, category, iconUrl) VALUES ($1, $2, $3, $4) RETURNING *',
+    [name, level, category, iconUrl || null]
+  );
+  return rows[0];
+};
+
+/**
+ * Replace the editable fields of a skill
+ * @param {number} id
+ * @param {Object} skill - { name, level, category, iconUrl }
+ * @returns {Promise<Object|null>} - Updated row, or null when it doesn't exist
+ */
+export const updateSkill = async (id, { name, level, category, iconUrl }, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE skills
+    SET name = $1, level = $2, category = $3, iconUrl = $4, updatedAt = CURRENT_TIMESTAMP
+    WHERE id = $5 AND deleted_at IS NULL
+    RETURNING *
+  `, [name, level, category, iconUrl || null, id]);
+  return rows[0] || null;
+};
+
+/**
+ * Move a skill to the trash (see server/trash.js for restore and purge)
+ * @param {number} id
+ * @returns {Promise<Object|null>} - Trashed row, or null when it doesn't exist or is already trashed
+ */
+export const trashSkill = async (id, tx = db) => {
+  const rows = await tx.query(
+    'UPDATE skills SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+    [id]
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,158 @@
+// server/responseCache.js - In-process cache for public GET responses
+//
+// Entries are grouped by resource (see CACHED_RESOURCES).
+// Admin writes invalidate their resource; the TTL only bounds how long
+// counters that change without a write (blog views and likes) can lag behind.
+// Each resource has its own entry limit and all of them share a byte budget,
+// with the least recently used entries going first.
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { systemClock } from './clock.js';
+import { createMetrics } from './metrics.js';
+
+const MAX_ENTRIES_PER_RESOURCE = 100;
+const MAX_BYTES = 16 * 1024 * 1024;
+// A single body larger than this share of the budget is served but not kept
+const MAX_ENTRY_SHARE = 1 / 8;
+const TIMESTAMP_KEYS = ['updatedAt', 'updated_at', 'updatedat'];
+const MAX_SCAN_DEPTH = 3;
+
+// Resources with cached public GETs
+export const CACHED_RESOURCES = ['projects', 'skills', 'journey', 'blog'];
+
+// Latest updatedAt/updated_at anywhere in the payload (items, or items nested
+// one level down, e.g. { posts: [...] })
+const latestTimestamp = (value, depth = 0) => {
+  if (!value || typeof value !== 'object' || depth > MAX_SCAN_DEPTH) return null;
+
+  let latest = null;
+  const consider = (candidate) => {
+    if (candidate && (!latest || candidate > latest)) latest = candidate;
+  };
+
+  if (Array.isArray(value)) {
+    value.forEach(item => consider(latestTimestamp(item, depth + 1)));
+    return latest;
+  }
+
+  for (const [key, field] of Object.entries(value)) {
+    if (TIMESTAMP_KEYS.includes(key)) {
+      const date = new Date(field);
+      if (!Number.isNaN(date.getTime())) consider(date);
+    } else if (typeof field === 'object') {
+      consider(latestTimestamp(field, depth + 1));
+    }
+  }
+  return latest;
+};
+
+/**
+ * Strong validator for a serialized body: equal bytes give equal tags
+ * @param {string} body
+ * @returns {string} - Quoted ETag
+ */
+export const strongEtag = (body) => `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+
+/**
+ * Build an empty response cache
+ * @param {Object} options - { clock, metrics, ttlSeconds, maxEntriesPerResource, maxBytes }
+ *   where metrics (from createMetrics) counts hits and misses per resource
+ * @returns {Object} - { lookup, generation, store, invalidate, clear }
+ */
+export const createResponseCache = ({
+  clock = systemClock,
+  metrics = createMetrics(),
+  ttlSeconds = config.responseCacheTtlSeconds,
+  maxEntriesPerResource = MAX_ENTRIES_PER_RESOURCE,
+  maxBytes = MAX_BYTES
+} = {}) => {
+  // Map keeps insertion order and hits are moved to the end, so the first key is the least recently used
+  const entries = new Map();
+  const entryCounts = new Map();
+  let totalBytes = 0;
+  // Bumped on every invalidation so a response computed before a write is never stored after it
+  const generations = new Map();
+  // When this process last saw a write per resource; deletes leave no updated_at behind
+  const writtenAt = new Map();
+
+  const keyFor = (resource, requestKey) => `${resource} ${requestKey}`;
+
+  const evict = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+    entryCounts.set(entry.resource, entryCounts.get(entry.resource) - 1);
+  };
+
+  const oldestKey = (resource) => {
+    for (const [key, entry] of entries) {
+      if (!resource || entry.resource === resource) return key;
+    }
+    return null;
+  };
+
+  const find = (resource, requestKey) => {
+    const key = keyFor(resource, requestKey);
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (clock.now().getTime() - entry.storedAt >= ttlSeconds * 1000) {
+      evict(key);
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  /**
+   * Find a fresh entry
+   * @param {string} resource - Cache group
+   * @param {string} requestKey - Identifies the response within the resource (see middleware/httpCache.js)
+   * @returns {Object|null} - Entry { body, etag, lastModified, storedAt }
+   */
+  const lookup = (resource, requestKey) => {
+    const entry = find(resource, requestKey);
+    metrics.responseCacheTotal.inc({ resource, result: entry ? 'hit' : 'miss' });
+    return entry;
+  };
+
+  const generation = (resource) => generations.get(resource) || 0;
+
+  /**
+   * Serialize a payload and keep it unless the resource changed since `since`
+   * @returns {Object} - Entry { body, etag, lastModified, storedAt }
+   */
+  const store = (resource, requestKey, payload, since) => {
+    const body = JSON.stringify(payload);
+    const candidates = [latestTimestamp(payload), writtenAt.get(resource)].filter(Boolean);
+    const lastModified = candidates.length > 0 ? new Date(Math.max(...candidates)) : null;
+    const size = Buffer.byteLength(body);
+    const entry = { resource, body, size, etag: strongEtag(body), lastModified, storedAt: clock.now().getTime() };
+
+    if (since !== generation(resource) || size > maxBytes * MAX_ENTRY_SHARE) return entry;
+
+    const key = keyFor(resource, requestKey);
+    evict(key);
+    while ((entryCounts.get(resource) || 0) >= maxEntriesPerResource) evict(oldestKey(resource));
+    while (totalBytes + size > maxBytes) evict(oldestKey());
+
+    entries.set(key, entry);
+    totalBytes += size;
+    entryCounts.set(resource, (entryCounts.get(resource) || 0) + 1);
+    return entry;
+  };
+
+  const invalidate = (resource) => {
+    generations.set(resource, generation(resource) + 1);
+    writtenAt.set(resource, clock.now());
+    for (const [key, entry] of entries) {
+      if (entry.resource === resource) evict(key);
+    }
+  };
+
+  // After bulk changes such as a backup import
+  const clear = () => CACHED_RESOURCES.forEach(invalidate);
+
+  return { lookup, generation, store, invalidate, clear };
+};
@@ -0,0 +1,239 @@
+// server/revisions.js - Revision history for blog posts and projects
+//
+// Every save stores the editable fields of the item as its next revision.
+// Revisions can be listed, diffed against each other and restored; a restore
+// is itself saved as a new revision, so history is never rewritten.
+import { db } from './db.js';
+import { recordAudit } from './audit.js';
+import { unifiedDiff } from './diff.js';
+import { NotFoundError } from './errors.js';
+import { findPostForUpdate, updatePost } from './repositories/blog.js';
+import { findProjectForUpdate, updateProject } from './repositories/projects.js';
+
+const toTechnologies = (value) => (
+  typeof value === 'string' ? value.split(',').map(tech => tech.trim()).filter(Boolean) : value || []
+);
+
+/**
+ * Content types with revision history. snapshot picks the versioned fields of
+ * a row; apply writes a snapshot back onto the locked current row.
+ */
+export const REVISION_TYPES = {
+  blog_post: {
+    label: 'Blog post',
+    permission: 'blog:write',
+    snapshot: (row) => ({
+      title: row.title,
+      slug: row.slug,
+      excerpt: row.excerpt,
+      content: row.content,
+      category: row.category,
+      featured_image: row.featured_image,
+      tags: row.tags,
+      status: row.status,
+      featured: row.featured,
+      reading_time: row.reading_time
+    }),
+    savedAt: (row) => row.updated_at || row.created_at,
+    findForUpdate: findPostForUpdate,
+    apply: (id, data, current, tx) => updatePost(id, {
+      ...data,
+      // Keep the original publication date when a published version comes back
+      published_at: data.status === 'published' ? current.published_at || new Date() : current.published_at
+    }, tx)
+  },
+  project: {
+    label: 'Project',
+    permission: 'projects:write',
+    snapshot: (row) => ({
+      title: row.title,
+      description: row.description,
+      technologies: toTechnologies(row.technologies),
+      repoLink: row.repolink,
+      liveLink: row.livelink
+    }),
+    savedAt: (row) => row.updatedat || row.createdat,
+    findForUpdate: findProjectForUpdate,
+    // Images aren't versioned: a replaced image is deleted from Cloudinary on save
+    apply: (id, data, current, tx) => updateProject(id, {
+      ...data,
+      imageUrl: current.imageurl,
+      cloudinaryPublicId: current.cloudinary_public_id
+    }, tx)
+  }
+};
+
+const formatRevision = (row) => ({
+  revision: row.revision,
+  authorId: row.author_id,
+  authorEmail: row.author_email,
+  restoredFrom: row.restored_from,
+  createdAt: row.created_at,
+  ...(row.data !== undefined && { data: row.data })
+});
+
+const insertRevision = async (tx, { entityType, entityId, revision, data, author, restoredFrom = null, createdAt = null }) => {
+  await tx.query(`
+    INSERT INTO content_revisions
+    (entity_type, entity_id, revision, data, author_id, author_email, restored_from, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, CURRENT_TIMESTAMP))
+  `, [
+    entityType,
+    entityId,
+    revision,
+    JSON.stringify(data),
+    author?.id || null,
+    author?.email || null,
+    restoredFrom,
+    createdAt
+  ]);
+};
+
+/**
+ * Store the saved state of an item as its next revision. Call it inside the
+ * transaction that saved the row, after locking it.
+ * @param {Object|null} req - Express request (the author comes from here)
+ * @param {Object} entry - { entityType, entityId, row, previous, restoredFrom }
+ *   previous is the row before the save; it becomes revision 1 for items
+ *   that were created before revisions were recorded.
+ * @param {Object} tx - Transaction handle from withTransaction
+ * @returns {Promise<number>} - New revision number
+ */
+export const recordRevision = async (req, { entityType, entityId, row, previous = null, restoredFrom = null }, tx) => {
+  const { snapshot, savedAt } = REVISION_TYPES[entityType];
+
+  const latest = await tx.query(
+    'SELECT MAX(revision) AS revision FROM content_revisions WHERE entity_type = $1 AND entity_id = $2',
+    [entityType, entityId]
+  );
+  let revision = latest[0]?.revision || 0;
+
+  if (revision === 0 && previous) {
+    revision = 1;
+    await insertRevision(tx, { entityType, entityId, revision, data: snapshot(previous), createdAt: savedAt(previous) });
+  }
+
+  revision++;
+  await insertRevision(tx, { entityType, entityId, revision, data: snapshot(row), author: req?.user, restoredFrom });
+  return revision;
+};
+
+/**
+ * List the revisions of an item, newest first (without their data)
+ * @param {string} entityType - Key of REVISION_TYPES
+ * @param {number} entityId
+ * @param {Object} options - { limit, offset }
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - { revisions, total }
+ */
+export const listRevisions = async (entityType, entityId, { limit = 20, offset = 0 } = {}, tx = db) => {
+  const [rows, totalRows] = await Promise.all([
+    tx.query(`
+      SELECT revision, author_id, author_email, restored_from, created_at
+      FROM content_revisions
+      WHERE entity_type = $1 AND entity_id = $2
+      ORDER BY revision DESC
+      LIMIT $3 OFFSET $4
+    `, [entityType, entityId, limit, offset]),
+    tx.query(
+      'SELECT COUNT(*)::int AS total FROM content_revisions WHERE entity_type = $1 AND entity_id = $2',
+      [entityType, entityId]
+    )
+  ]);
+
+  return { revisions: rows.map(formatRevision), total: totalRows[0]?.total || 0 };
+};
+
+/**
+ * Get one revision of an item, including its data
+ * @param {string} entityType - Key of REVISION_TYPES
+ * @param {number} entityId
+ * @param {number} revision
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>}
+ */
+export const getRevision = async (entityType, entityId, revision, tx = db) => {
+  const rows = await tx.query(`
+    SELECT revision, data, author_id, author_email, restored_from, created_at
+    FROM content_revisions
+    WHERE entity_type = $1 AND entity_id = $2 AND revision = $3
+  `, [entityType, entityId, revision]);
+  return rows[0] ? formatRevision(rows[0]) : null;
+};
+
+// Strings are diffed as they are; anything else as indented JSON
+const fieldText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Unified diff between two revisions of an item, one section per changed field
+ * @param {string} entityType - Key of REVISION_TYPES
+ * @param {number} entityId
+ * @param {number} from - Old revision
+ * @param {number} to - New revision
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - { from, to, changedFields, diff }
+ */
+export const diffRevisions = async (entityType, entityId, from, to, tx = db) => {
+  const [older, newer] = await Promise.all([
+    getRevision(entityType, entityId, from, tx),
+    getRevision(entityType, entityId, to, tx)
+  ]);
+  if (!older) throw new NotFoundError(`Revision ${from} not found`);
+  if (!newer) throw new NotFoundError(`Revision ${to} not found`);
+
+  const fields = [...new Set([...Object.keys(older.data), ...Object.keys(newer.data)])];
+  const sections = [];
+  const changedFields = [];
+
+  for (const field of fields) {
+    const section = unifiedDiff(fieldText(older.data[field]), fieldText(newer.data[field]), {
+      fromLabel: `${entityType}/${entityId}@${from}:${field}`,
+      toLabel: `${entityType}/${entityId}@${to}:${field}`
+    });
+    if (section) {
+      changedFields.push(field);
+      sections.push(section);
+    }
+  }
+
+  return {
+    from: { revision: older.revision, authorEmail: older.authorEmail, createdAt: older.createdAt },
+    to: { revision: newer.revision, authorEmail: newer.authorEmail, createdAt: newer.createdAt },
+    changedFields,
+    diff: sections.join('\n')
+  };
+};
+
+/**
+ * Roll an item back to one of its revisions
+ * @param {Object} req - Express request, for the author and audit entry
+ * @param {string} entityType - Key of REVISION_TYPES
+ * @param {number} entityId
+ * @param {number} revision - Revision to restore
+ * @param {Object} [database] - Database handle
+ * @returns {Promise<Object>} - { row, revision } with the new revision number
+ */
+export const restoreRevision = (req, entityType, entityId, revision, database = db) => database.withTransaction(async (tx) => {
+  const { label, findForUpdate, apply } = REVISION_TYPES[entityType];
+
+  const current = await findForUpdate(entityId, tx);
+  if (!current) throw new NotFoundError(`${label} not found`);
+
+  const target = await getRevision(entityType, entityId, revision, tx);
+  if (!target) throw new NotFoundError(`Revision ${revision} not found`);
+
+  const row = await apply(entityId, target.data, current, tx);
+  const newRevision = await recordRevision(req, { entityType, entityId, row, previous: current, restoredFrom: revision }, tx);
+  await recordAudit(req, {
+    action: 'restore_revision',
+    entityType,
+    entityId,
+    before: current,
+    after: { ...row, restored_revision: revision }
+  }, tx);
+
+  return { row, revision: newRevision };
+});
@@ -0,0 +1,173 @@
+// server/sessions.js - Login sessions backing short-lived access tokens and rotating refresh tokens
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './db.js';
+import logger from './logger.js';
+import { getClientIp } from '../middleware/clientIp.js';
+import config from '../config/env.js';
+
+const ACCESS_TOKEN_TTL = config.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.refreshTokenTtlDays;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - Row from the users table
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  config.jwtSecret,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the whole token is stored
+const issueRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId] = refreshToken.split('.');
+  return sessionId || null;
+};
+
+const tokenPair = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId
+});
+
+/**
+ * Start a new session for a user who just logged in
+ * @param {Object} user - Row from the users table
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+ */
+export const createSession = async (user, req, tx = db) => {
+  const sessionId = uuidv4();
+  const refreshToken = issueRefreshToken(sessionId);
+
+  await tx.query(`
+    INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+  `, [
+    sessionId,
+    user.id,
+    hashToken(refreshToken),
+    req.headers['user-agent'] || null,
+    getClientIp(req),
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  return tokenPair(user, sessionId, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>} - New token pair, or null if the token is not usable
+ */
+export const rotateSession = async (refreshToken, tx = db) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const rows = await tx.query(`
+    SELECT s.*, u.email, u.role
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1
+  `, [sessionId]);
+  if (rows.length === 0) return null;
+
+  const session = rows[0];
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+
+  if (session.refresh_token_hash !== hashToken(refreshToken)) {
+    logger.warn('Refresh token reuse detected, revoking session', { sessionId, userId: session.user_id });
+    await revokeSession(sessionId, undefined, tx);
+    return null;
+  }
+
+  const nextRefreshToken = issueRefreshToken(sessionId);
+  const updated = await tx.query(`
+    UPDATE user_sessions
+    SET refresh_token_hash = $1, last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+    RETURNING id
+  `, [hashToken(nextRefreshToken), sessionId, session.refresh_token_hash]);
+
+  // Another request rotated the token first
+  if (updated.length === 0) return null;
+
+  return tokenPair({ id: session.user_id, email: session.email, role: session.role }, sessionId, nextRefreshToken);
+};
+
+/**
+ * Look up a session that is still valid (not revoked, not expired)
+ * @param {string} sessionId - Session ID from the access token
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object|null>} - Session row or null
+ */
+export const findActiveSession = async (sessionId, tx = db) => {
+  if (!sessionId) return null;
+  const rows = await tx.query(`
+    SELECT * FROM user_sessions
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+  `, [sessionId]);
+  return rows[0] || null;
+};
+
+/**
+ * List the sessions of a user that can still be refreshed
+ * @param {number} userId - User ID
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Array>} - Session rows without token hashes
+ */
+export const listActiveSessions = async (userId, tx = db) => tx.query(`
+  SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+  FROM user_sessions
+  WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+  ORDER BY last_used_at DESC
+`, [userId]);
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {number} [userId] - When given, only revoke if the session belongs to this user
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+export const revokeSession = async (sessionId, userId, tx = db) => {
+  const params = [sessionId];
+  let sql = 'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL';
+  if (userId !== undefined) {
+    sql += ' AND user_id = $2';
+    params.push(userId);
+  }
+  const rows = await tx.query(`${sql} RETURNING id`, params);
+  return rows.length > 0;
+};
+
+/**
+ * Revoke every session of a user ("log out all devices")
+ * @param {number} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep alive, e.g. the caller's own
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, exceptSessionId = null, tx = db) => {
+  const rows = await tx.query(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::varchar IS NULL OR id <> $2)
+    RETURNING id
+  `, [userId, exceptSessionId]);
+  return rows.length;
+};
@@ -0,0 +1,85 @@
+// server/shutdown.js - Graceful shutdown on SIGTERM/SIGINT
+//
+// Order: readiness goes not-ready, the HTTP server stops accepting connections
+// and waits for in-flight requests (up to SHUTDOWN_TIMEOUT_MS), work those
+// requests left in the background queue finishes (again up to
+// SHUTDOWN_TIMEOUT_MS), background jobs finish their current run, and finally
+// the database pool is closed.
+import { stopTrashPurgeJob } from './trash.js';
+import logger from './logger.js';
+import config from '../config/env.js';
+
+const IDLE_SWEEP_MS = 250;
+
+// Resolves once every connection is closed; whatever is still open after timeoutMs is cut off
+const drainServer = (server, timeoutMs) => new Promise((resolve) => {
+  // Keep-alive connections would hold close() open once their request is done,
+  // so idle ones are closed now and again as in-flight requests finish
+  server.closeIdleConnections();
+  const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+
+  const timer = setTimeout(() => {
+    logger.warn('Drain timed out, closing remaining connections', { timeoutMs });
+    server.closeAllConnections();
+  }, timeoutMs);
+
+  server.close(() => {
+    clearInterval(sweep);
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+let shuttingDown = null;
+
+/**
+ * Drain the server and release every resource. Safe to call more than once.
+ * @param {Object} server - http.Server returned by app.listen
+ * @param {string} reason - What triggered the shutdown, for the logs
+ * @param {Object} deps - { db, lifecycle, background } where db is closed once
+ *   requests and background tasks are drained, and lifecycle and background are
+ *   the app's (from createLifecycle and createBackgroundQueue)
+ * @returns {Promise<void>}
+ */
+export const shutdown = (server, reason, { db, lifecycle, background }) => {
+  if (shuttingDown) return shuttingDown;
+
+  shuttingDown = (async () => {
+    const timeoutMs = config.shutdownTimeoutMs;
+    logger.info('Shutting down', { reason, timeoutMs });
+    lifecycle.set('draining');
+
+    await drainServer(server, timeoutMs);
+    logger.info('HTTP server closed');
+
+    await background.drain(timeoutMs);
+
+    await stopTrashPurgeJob();
+    await db.end();
+    logger.info('Shutdown complete');
+  })();
+  return shuttingDown;
+};
+
+/**
+ * Shut down gracefully on SIGTERM/SIGINT; a second signal exits immediately
+ * @param {Object} server - http.Server returned by app.listen
+ * @param {Object} deps - { db, lifecycle, background }, see shutdown
+ */
+export const handleShutdownSignals = (server, deps) => {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn('Second shutdown signal received, exiting now', { signal });
+        process.exit(1);
+      }
+
+      shutdown(server, signal, deps)
+        .then(() => process.exit(0))
+        .catch((error) => {
+          logger.error('Shutdown failed', error);
+          process.exit(1);
+        });
+    });
+  }
+};
@@ -0,0 +1,195 @@
+// server/trash.js - Trash for soft-deleted content: listing, restore and purge
+//
+// DELETE routes only set deleted_at. Items stay restorable for
+// TRASH_RETENTION_DAYS, after which the purge job deletes the rows together
+// with their assets (Cloudinary image, local skill icon) and revision history.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { db } from './db.js';
+import { recordAudit } from './audit.js';
+import logger from './logger.js';
+import config from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const removeCloudinaryImage = async (row, storage) => {
+  if (!row.cloudinary_public_id) return;
+  await storage.remove(row.cloudinary_public_id);
+};
+
+const removeSkillIcon = async (row) => {
+  if (!row.iconurl) return;
+  const iconPath = path.join(__dirname, '..', 'Uploads', 'skills', path.basename(row.iconurl));
+  if (fs.existsSync(iconPath)) await fs.promises.unlink(iconPath);
+};
+
+/**
+ * Content types that can be trashed. Restoring or purging an item needs the
+ * same permission as deleting it.
+ */
+export const TRASH_TYPES = {
+  project: { table: 'projects', label: 'title', permission: 'projects:delete', resource: 'projects', removeAssets: removeCloudinaryImage },
+  skill: { table: 'skills', label: 'name', permission: 'skills:delete', resource: 'skills', removeAssets: removeSkillIcon },
+  journey_item: { table: 'journey_items', label: 'title', permission: 'journey:delete', resource: 'journey' },
+  blog_post: { table: 'blog_posts', label: 'title', permission: 'blog:delete', resource: 'blog' }
+};
+
+/**
+ * Days an item stays in the trash before it is purged
+ * @returns {number}
+ */
+export const getRetentionDays = () => {
+  return config.trashRetentionDays;
+};
+
+/**
+ * List trashed items, most recently deleted first
+ * @param {Object} options - { types, limit, offset }
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<Object>} - { items: [{ type, id, label, deletedAt, purgeAt }], total }
+ */
+export const listTrash = async ({ types = Object.keys(TRASH_TYPES), limit = 50, offset = 0 } = {}, tx = db) => {
+  if (types.length === 0) return { items: [], total: 0 };
+
+  const union = types.map(type => {
+    const { table, label } = TRASH_TYPES[type];
+    return `SELECT '${type}' AS type, id, ${label} AS label, deleted_at FROM ${table} WHERE deleted_at IS NOT NULL`;
+  }).join(' UNION ALL ');
+
+  const [rows, totalRows] = await Promise.all([
+    tx.query(`
+      SELECT type, id, label, deleted_at, deleted_at + make_interval(days => $1) AS purge_at
+      FROM (${union}) trashed
+      ORDER BY deleted_at DESC, type, id
+      LIMIT $2 OFFSET $3
+    `, [getRetentionDays(), limit, offset]),
+    tx.query(`SELECT COUNT(*)::int AS total FROM (${union}) trashed`)
+  ]);
+
+  return {
+    items: rows.map(row => ({
+      type: row.type,
+      id: row.id,
+      label: row.label,
+      deletedAt: row.deleted_at,
+      purgeAt: row.purge_at
+    })),
+    total: totalRows[0]?.total || 0
+  };
+};
+
+/**
+ * Take an item out of the trash
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {number} id
+ * @param {Object} req - Express request, for the audit entry
+ * @param {Object} [database] - Database handle
+ * @returns {Promise<Object|null>} - Restored row, or null when it isn't in the trash
+ */
+export const restoreFromTrash = (type, id, req, database = db) => database.withTransaction(async (tx) => {
+  const { table } = TRASH_TYPES[type];
+  const rows = await tx.query(
+    `UPDATE ${table} SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  await recordAudit(req, { action: 'restore', entityType: type, entityId: id, after: rows[0] }, tx);
+  return rows[0];
+});
+
+/**
+ * Permanently delete a trashed item and then its assets
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {number} id
+ * @param {Object|null} req - Express request, or null when run by the purge job
+ * @param {Object} deps - { db, storage }
+ * @returns {Promise<Object|null>} - Deleted row, or null when it isn't in the trash
+ */
+export const purgeFromTrash = async (type, id, req, { db: database, storage }) => {
+  const { table, removeAssets } = TRASH_TYPES[type];
+
+  const row = await database.withTransaction(async (tx) => {
+    const rows = await tx.query(`DELETE FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`, [id]);
+    if (rows.length === 0) return null;
+
+    await tx.query('DELETE FROM content_revisions WHERE entity_type = $1 AND entity_id = $2', [type, id]);
+    await recordAudit(req, { action: 'purge', entityType: type, entityId: id, before: rows[0] }, tx);
+    return rows[0];
+  });
+
+  // Assets go only after the row is gone for good; a failure just leaves an orphan
+  if (row && removeAssets) {
+    try {
+      await removeAssets(row, storage);
+    } catch (error) {
+      logger.error('Trash asset cleanup error', { type, id, reason: error.message });
+    }
+  }
+  return row;
+};
+
+/**
+ * Purge every item that has been in the trash longer than the retention period
+ * @param {Object} deps - { db, storage }
+ * @returns {Promise<number>} - Number of purged items
+ */
+export const purgeExpiredTrash = async (deps) => {
+  let purged = 0;
+
+  for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+    const expired = await deps.db.query(
+      `SELECT id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [getRetentionDays()]
+    );
+    for (const { id } of expired) {
+      try {
+        if (await purgeFromTrash(type, id, null, deps)) purged++;
+      } catch (error) {
+        logger.error('Trash purge error', { type, id, reason: error.message });
+      }
+    }
+  }
+
+  if (purged > 0) logger.info('Purged expired trash items', { purged });
+  return purged;
+};
+
+let purgeTimer = null;
+let runningPurge = null;
+
+/**
+ * Run purgeExpiredTrash now and then every TRASH_PURGE_INTERVAL_MINUTES
+ * @param {Object} deps - { db, storage }
+ */
+export const startTrashPurgeJob = (deps) => {
+  if (purgeTimer) return;
+
+  const intervalMs = config.trashPurgeIntervalMinutes * 60 * 1000;
+
+  const run = () => {
+    // Never overlap two runs
+    if (runningPurge) return;
+    runningPurge = purgeExpiredTrash(deps)
+      .catch(error => logger.error('Trash purge job error', { reason: error.message }))
+      .finally(() => { runningPurge = null; });
+  };
+
+  run();
+  purgeTimer = setInterval(run, intervalMs);
+  purgeTimer.unref();
+};
+
+/**
+ * Stop the purge job and wait for a run in progress to finish
+ * @returns {Promise<void>}
+ */
+export const stopTrashPurgeJob = async () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+  if (runningPurge) await runningPurge;
+};
@@ -0,0 +1,165 @@
+// server/twoFactor.js - RFC 6238 TOTP and one-time recovery codes for admin login
+import crypto from 'crypto';
+import { db } from './db.js';
+import config from '../config/env.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in TOTP secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (the user's email)
+ * @param {string} issuer - Issuer label shown in the app
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthUrl = (secret, account, issuer = config.totpIssuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastCounter - Last accepted time step, used to reject replays
+ * @returns {number|null} - Matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, lastCounter = null) => {
+  if (!secret || (typeof code !== 'string' && typeof code !== 'number')) return null;
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let step = current - 1; step <= current + 1; step++) {
+    if (lastCounter !== null && lastCounter !== undefined && step <= Number(lastCounter)) continue;
+    if (safeEqual(hotp(key, step), normalized)) return step;
+  }
+  return null;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - User ID
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<string[]>} - Plain-text codes, shown to the user once
+ */
+export const regenerateRecoveryCodes = async (userId, tx = db) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await tx.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await tx.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+};
+
+/**
+ * Consume a recovery code. Each code works only once.
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code typed by the user
+ * @param {Object} [tx] - Database handle
+ * @returns {Promise<boolean>} - Whether the code was valid and unused
+ */
+export const consumeRecoveryCode = async (userId, code, tx = db) => {
+  if (typeof code !== 'string' || !code.trim()) return false;
+  const rows = await tx.query(`
+    UPDATE user_recovery_codes
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING id
+  `, [userId, hashRecoveryCode(code)]);
+  return rows.length > 0;
+};
+
+/**
+ * Remove every recovery code of a user (when 2FA is disabled)
+ * @param {number} userId - User ID
+ * @param {Object} [tx] - Database handle
+ */
+export const clearRecoveryCodes = async (userId, tx = db) => {
+  await tx.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
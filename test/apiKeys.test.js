@@ -0,0 +1,143 @@
+// test/apiKeys.test.js - API key scopes, revocation and owners
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { signAccessToken } from '../server/sessions.js';
+import { createApiKey } from '../server/apiKeys.js';
+import { ADMIN_ONLY_PERMISSIONS } from '../config/permissions.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import { createAuthentication, requirePermission } from '../middleware/middleware.js';
+import apiKeyRoutes from '../routes/apiKeys.js';
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'admin', permissions: [], disabled_at: null };
+
+// users, api_keys and a session for every user
+const standInDb = () => {
+  const users = new Map([[ADMIN.id, { ...ADMIN }]]);
+  const keys = [];
+
+  const query = async (sql, params = []) => {
+    if (/INSERT INTO api_keys/.test(sql)) {
+      const [name, keyPrefix, keyHash, scopes, createdBy, expiresAt] = params;
+      const row = {
+        id: keys.length + 1,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes: JSON.parse(scopes),
+        created_by: createdBy,
+        expires_at: expiresAt,
+        revoked_at: null
+      };
+      keys.push(row);
+      return [{ ...row }];
+    }
+    if (/SET last_used_at = CURRENT_TIMESTAMP/.test(sql)) {
+      const row = keys.find(key => key.key_hash === params[0] && !key.revoked_at
+        && (!key.expires_at || new Date(key.expires_at) > new Date()));
+      return row ? [{ ...row }] : [];
+    }
+    if (/UPDATE api_keys SET revoked_at/.test(sql)) {
+      const row = keys.find(key => key.id === params[0] && !key.revoked_at);
+      if (!row) return [];
+      row.revoked_at = new Date();
+      return [{ id: row.id }];
+    }
+    if (/FROM user_sessions/.test(sql)) return [{ id: params[0], user_id: ADMIN.id }];
+    if (/FROM users WHERE id = \$1/.test(sql)) return users.has(params[0]) ? [{ ...users.get(params[0]) }] : [];
+    return [];
+  };
+
+  return { users, keys, query, withTransaction: async (fn) => fn({ inTransaction: true, query }) };
+};
+
+const withKeys = async (fn) => {
+  const db = standInDb();
+  const isAuthenticated = createAuthentication({ db });
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api-keys', apiKeyRoutes({ db, clock: { now: () => new Date() } }));
+  // One route per permission, answering with who got through
+  app.get('/probe/:permission', isAuthenticated, (req, res, next) => requirePermission(req.params.permission)(req, res, next),
+    (req, res) => res.json({ userId: req.user.id }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const adminToken = signAccessToken(ADMIN, 'admin-session');
+
+  const call = (method, path, { body, token = adminToken } = {}) => fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body)
+  });
+
+  try {
+    await fn({ db, call });
+  } finally {
+    server.close();
+  }
+};
+
+test('keys cannot be created with admin-only scopes', async () => {
+  await withKeys(async ({ db, call }) => {
+    for (const scope of ADMIN_ONLY_PERMISSIONS) {
+      const response = await call('POST', '/api-keys', { body: { name: 'ci', scopes: ['blog:write', scope] } });
+      assert.equal(response.status, 400, scope);
+    }
+    assert.equal(db.keys.length, 0);
+
+    const created = await call('POST', '/api-keys', { body: { name: 'ci', scopes: ['blog:write'] } });
+    assert.equal(created.status, 201);
+    assert.match((await created.json()).key, /^pfk_/);
+  });
+});
+
+test('a key only reaches the scopes it was created with', async () => {
+  await withKeys(async ({ call }) => {
+    const { key } = await (await call('POST', '/api-keys', { body: { name: 'ci', scopes: ['blog:write'] } })).json();
+
+    assert.equal((await call('GET', '/probe/blog:write', { token: key })).status, 200);
+    assert.equal((await call('GET', '/probe/blog:delete', { token: key })).status, 403);
+
+    // The owner is an admin, but the key doesn't carry that
+    assert.equal((await call('GET', '/api-keys', { token: key })).status, 403);
+  });
+});
+
+test('admin-only permissions are refused even when a stored key lists them', async () => {
+  await withKeys(async ({ db, call }) => {
+    const { key } = await createApiKey({ name: 'legacy', scopes: ADMIN_ONLY_PERMISSIONS, createdBy: ADMIN.id }, db);
+
+    for (const permission of ADMIN_ONLY_PERMISSIONS) {
+      assert.equal((await call('GET', `/probe/${permission}`, { token: key })).status, 403, permission);
+    }
+    assert.equal((await call('GET', '/api-keys', { token: key })).status, 403);
+  });
+});
+
+test('revoked and expired keys and keys of disabled users are rejected', async () => {
+  await withKeys(async ({ db, call }) => {
+    const { key: revoked, apiKey } = await createApiKey({ name: 'revoked', scopes: ['blog:write'], createdBy: ADMIN.id }, db);
+    assert.equal((await call('GET', '/probe/blog:write', { token: revoked })).status, 200);
+    assert.equal((await call('DELETE', `/api-keys/${apiKey.id}`)).status, 200);
+    assert.equal((await call('GET', '/probe/blog:write', { token: revoked })).status, 401);
+
+    const { key: expired } = await createApiKey({
+      name: 'expired',
+      scopes: ['blog:write'],
+      createdBy: ADMIN.id,
+      expiresAt: new Date(Date.now() - 1000)
+    }, db);
+    assert.equal((await call('GET', '/probe/blog:write', { token: expired })).status, 401);
+
+    const { key: orphaned } = await createApiKey({ name: 'orphaned', scopes: ['blog:write'], createdBy: 2 }, db);
+    assert.equal((await call('GET', '/probe/blog:write', { token: orphaned })).status, 401);
+
+    const { key: owned } = await createApiKey({ name: 'owned', scopes: ['blog:write'], createdBy: ADMIN.id }, db);
+    db.users.get(ADMIN.id).disabled_at = new Date();
+    assert.equal((await call('GET', '/probe/blog:write', { token: owned })).status, 401);
+  });
+});
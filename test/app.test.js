@@ -0,0 +1,105 @@
+// test/app.test.js - Routers and apps running in-process against stand-in collaborators
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createApp } from '../app.js';
+import { createLifecycle } from '../server/health.js';
+import { createMetrics } from '../server/metrics.js';
+import { createResponseCache } from '../server/responseCache.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import skillsRoutes from '../routes/skills.js';
+
+const SKILL = {
+  id: 1,
+  name: 'PostgreSQL',
+  level: 'Expert',
+  category: 'Database',
+  iconurl: null,
+  createdat: '2026-01-01T00:00:00.000Z',
+  updatedat: '2026-01-02T00:00:00.000Z'
+};
+
+// A database that answers the skills list and records every query
+const standInDb = () => {
+  const queries = [];
+  const query = async (sql) => {
+    queries.push(sql);
+    return /FROM skills/.test(sql) ? [SKILL] : [];
+  };
+  return { queries, query, withTransaction: async (fn) => fn({ inTransaction: true, query }), end: async () => {} };
+};
+
+const standIns = () => ({
+  db: standInDb(),
+  mailer: { sendMail: async () => {}, verify: async () => {} },
+  storage: { upload: async () => ({}), remove: async () => {}, ping: async () => {} },
+  githubClient: { isConfigured: false },
+  clock: { now: () => new Date('2026-01-03T00:00:00Z') }
+});
+
+// Serve an app on an ephemeral port for the duration of fn
+const withServer = async (app, fn) => {
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+};
+
+test('skills router serves and caches rows from the database stand-in', async () => {
+  const { db, clock } = standIns();
+  const app = express();
+  app.use(requestLogger);
+  app.use('/skills', skillsRoutes({ db, clock, cache: createResponseCache({ clock }) }));
+  app.use(errorHandler);
+
+  await withServer(app, async (base) => {
+    const first = await fetch(`${base}/skills`);
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), [{
+      id: 1,
+      name: 'PostgreSQL',
+      level: 'Expert',
+      category: 'Database',
+      iconUrl: null,
+      createdAt: SKILL.createdat,
+      updatedAt: SKILL.updatedat
+    }]);
+
+    // fetch sends Cache-Control: no-cache with conditional requests unless the header is set
+    const revalidated = await fetch(`${base}/skills`, {
+      headers: { 'If-None-Match': first.headers.get('etag'), 'Cache-Control': 'max-age=0' }
+    });
+    assert.equal(revalidated.status, 304);
+    assert.equal(db.queries.length, 1);
+  });
+});
+
+test('each app has its own lifecycle', async () => {
+  const lifecycle = createLifecycle('starting');
+  const starting = createApp({ ...standIns(), lifecycle });
+  const ready = createApp(standIns());
+
+  await withServer(starting, async (base) => {
+    assert.equal((await fetch(`${base}/api/skills`)).status, 503);
+    assert.equal((await fetch(`${base}/api/health/live`)).status, 200);
+
+    lifecycle.set('ready');
+    assert.equal((await fetch(`${base}/api/skills`)).status, 200);
+  });
+
+  await withServer(ready, async (base) => {
+    assert.equal((await fetch(`${base}/api/skills`)).status, 200);
+  });
+});
+
+test('metrics are kept per app', () => {
+  const a = createMetrics();
+  const b = createMetrics();
+  a.rateLimitedTotal.inc({ policy: 'contact' });
+
+  assert.match(a.render(), /http_rate_limited_total\{policy="contact"\} 1/);
+  assert.doesNotMatch(b.render(), /http_rate_limited_total\{policy="contact"\}/);
+});
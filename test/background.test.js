@@ -0,0 +1,90 @@
+// test/background.test.js - Post-response work and the shutdown that waits for it
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createApp } from '../app.js';
+import { createBackgroundQueue } from '../server/background.js';
+import { createLifecycle } from '../server/health.js';
+import { shutdown } from '../server/shutdown.js';
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('failed tasks are retried until they succeed or run out of attempts', async () => {
+  const background = createBackgroundQueue({ attempts: 3, retryDelayMs: 1 });
+  let flaky = 0;
+  let broken = 0;
+
+  background.run('flaky', async () => {
+    if (++flaky < 2) throw new Error('try again');
+  });
+  background.run('broken', async () => {
+    broken++;
+    throw new Error('always fails');
+  });
+
+  assert.equal(await background.drain(1000), true);
+  assert.equal(flaky, 2);
+  assert.equal(broken, 3);
+  assert.equal(background.pending(), 0);
+});
+
+test('drain gives up at the timeout', async () => {
+  const background = createBackgroundQueue();
+  let release;
+  background.run('stuck', () => new Promise(resolve => { release = resolve; }));
+
+  assert.equal(await background.drain(10), false);
+  release();
+  assert.equal(await background.drain(1000), true);
+});
+
+test('forgot-password answers first and retries the email in the background', async () => {
+  const sent = [];
+  let failures = 1;
+  const db = {
+    query: async (sql) => (/FROM users/.test(sql) ? [{ id: 7, email: 'editor@example.test' }] : []),
+    withTransaction: async (fn) => fn({ inTransaction: true, query: db.query })
+  };
+  const mailer = {
+    sendMail: async (type, message) => {
+      if (failures-- > 0) throw new Error('SMTP unavailable');
+      sent.push({ type, to: message.to });
+    },
+    verify: async () => {}
+  };
+  const background = createBackgroundQueue({ retryDelayMs: 1 });
+  const app = createApp({ db, mailer, background, githubClient: { isConfigured: false } });
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'editor@example.test' })
+    });
+    assert.equal(response.status, 200);
+  } finally {
+    server.close();
+  }
+
+  assert.equal(await background.drain(1000), true);
+  assert.deepEqual(sent, [{ type: 'password_reset', to: 'editor@example.test' }]);
+});
+
+test('shutdown waits for background tasks before closing the database', async () => {
+  const events = [];
+  const background = createBackgroundQueue();
+  background.run('slow', async () => {
+    await tick(50);
+    events.push('task done');
+  });
+
+  const server = http.createServer().listen(0);
+  const db = { end: async () => events.push('db closed') };
+  const lifecycle = createLifecycle('ready');
+
+  await shutdown(server, 'test', { db, lifecycle, background });
+
+  assert.equal(lifecycle.get(), 'draining');
+  assert.deepEqual(events, ['task done', 'db closed']);
+});
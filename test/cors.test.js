@@ -0,0 +1,148 @@
+// test/cors.test.js - Origin patterns and the CORS policy in enforce and report-only mode
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { compileOriginPattern } from '../server/originPattern.js';
+import { createCorsPolicy } from '../server/cors.js';
+import { createMetrics } from '../server/metrics.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import corsPolicy from '../middleware/cors.js';
+
+const assertMatches = (pattern, allowed, refused) => {
+  const { matches } = compileOriginPattern(pattern);
+  allowed.forEach(origin => assert.equal(matches(origin), true, `${pattern} should allow ${origin}`));
+  refused.forEach(origin => assert.equal(matches(origin), false, `${pattern} should refuse ${origin}`));
+};
+
+test('a leftmost wildcard label stands for one or more subdomains', () => {
+  assertMatches('https://*.vercel.app', [
+    'https://my-app.vercel.app',
+    'https://preview.my-app.vercel.app',
+    'https://My-App.Vercel.App'
+  ], [
+    'https://vercel.app',
+    'http://my-app.vercel.app',
+    'https://my-app.vercel.app:8443',
+    'https://my-app.vercel.app.evil.com',
+    'https://evilvercel.app',
+    'https://my_app.vercel.app'
+  ]);
+});
+
+test('a wildcard inside a label only stands for part of that label', () => {
+  assertMatches('https://my-app-*.vercel.app', [
+    'https://my-app-git-main.vercel.app',
+    'https://my-app-123.vercel.app'
+  ], [
+    'https://other-app-1.vercel.app',
+    'https://x.my-app-1.vercel.app',
+    'https://my-app-1.preview.vercel.app'
+  ]);
+});
+
+test('a port wildcard allows any port or none, exact ports only themselves', () => {
+  assertMatches('http://localhost:*', ['http://localhost', 'http://localhost:5173'], [
+    'https://localhost:5173',
+    'http://localhost.evil.com:5173',
+    'http://localhost:5173.evil.com'
+  ]);
+  assertMatches('http://localhost:3000', ['http://localhost:3000'], ['http://localhost', 'http://localhost:3001']);
+});
+
+test('patterns are normalized, and broad or malformed ones are refused', () => {
+  assert.deepEqual(
+    (({ pattern, wildcard }) => ({ pattern, wildcard }))(compileOriginPattern(' HTTPS://Example.com/ ')),
+    { pattern: 'https://example.com', wildcard: false }
+  );
+  assert.equal(compileOriginPattern('https://*.example.com').wildcard, true);
+  assert.equal(compileOriginPattern('http://localhost:*').wildcard, true);
+
+  for (const pattern of [
+    'https://*.app',
+    'https://*',
+    'https://*.*.com',
+    'https://app-*.com',
+    '*',
+    'ftp://example.com',
+    'https://example.com/path',
+    'https://example..com',
+    'example.com'
+  ]) {
+    assert.throws(() => compileOriginPattern(pattern), Error, pattern);
+  }
+});
+
+// Allows https://site.example.test from config and whatever cors_origins holds
+const withCors = async (mode, storedPatterns, fn) => {
+  const db = { query: async () => storedPatterns.map(pattern => ({ pattern })) };
+  const policy = createCorsPolicy({ db, mode, origins: ['https://site.example.test'] });
+  const metrics = createMetrics();
+
+  const app = express();
+  app.use(requestLogger);
+  app.use(corsPolicy(policy, metrics));
+  app.get('/ping', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = (origin, method = 'GET') => fetch(`${base}/ping`, {
+    method,
+    headers: {
+      ...(origin && { Origin: origin }),
+      ...(method === 'OPTIONS' && { 'Access-Control-Request-Method': 'POST' })
+    }
+  });
+
+  try {
+    await fn({ request, metrics, policy });
+  } finally {
+    server.close();
+  }
+};
+
+const rejections = (metrics, mode) => {
+  const match = new RegExp(`http_cors_rejected_total\\{mode="${mode}"\\} (\\d+)`).exec(metrics.render());
+  return match ? Number(match[1]) : 0;
+};
+
+test('enforce mode answers allowed origins and turns the rest away', async () => {
+  await withCors('enforce', ['https://*.stored.example.test'], async ({ request, metrics }) => {
+    const allowed = await request('https://site.example.test');
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://site.example.test');
+    assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+    const fromTable = await request('https://preview.stored.example.test');
+    assert.equal(fromTable.status, 200);
+    assert.equal(fromTable.headers.get('access-control-allow-origin'), 'https://preview.stored.example.test');
+
+    const preflight = await request('https://site.example.test', 'OPTIONS');
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+
+    const refused = await request('https://evil.example.test');
+    assert.equal(refused.status, 403);
+    assert.equal(refused.headers.get('access-control-allow-origin'), null);
+    assert.equal((await request('https://evil.example.test', 'OPTIONS')).status, 403);
+    assert.equal(rejections(metrics, 'enforce'), 2);
+
+    // Requests without an Origin header are not CORS requests
+    const sameOrigin = await request(null);
+    assert.equal(sameOrigin.status, 200);
+    assert.equal(sameOrigin.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+test('report-only mode lets unknown origins through but counts them', async () => {
+  await withCors('report-only', [], async ({ request, metrics }) => {
+    const unknown = await request('https://evil.example.test');
+    assert.equal(unknown.status, 200);
+    assert.equal(unknown.headers.get('access-control-allow-origin'), 'https://evil.example.test');
+    assert.equal(rejections(metrics, 'report-only'), 1);
+
+    await request('https://site.example.test');
+    assert.equal(rejections(metrics, 'report-only'), 1);
+  });
+});
@@ -0,0 +1,164 @@
+// test/diff.test.js - Line diffs and restoring a revision
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff, MAX_DIFF_LINES } from '../server/diff.js';
+import { recordRevision, restoreRevision, diffRevisions, REVISION_TYPES } from '../server/revisions.js';
+
+const oldSide = (ops) => ops.filter(op => op.type !== '+').map(op => op.line);
+const newSide = (ops) => ops.filter(op => op.type !== '-').map(op => op.line);
+const edits = (ops) => ops.filter(op => op.type !== ' ').length;
+
+// Fewest insertions plus deletions, by dynamic programming over the LCS
+const editDistance = (a, b) => {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  return a.length + b.length - 2 * lcs[0][0];
+};
+
+// Deterministic pseudo-random lines from a small alphabet, so lines repeat
+const randomLines = (seed, length) => {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    return 'abcd'[state % 4];
+  });
+};
+
+test('equal texts have no diff', () => {
+  assert.equal(unifiedDiff('same\ntext', 'same\ntext'), '');
+});
+
+test('changes come out as unified diff hunks with context', () => {
+  const oldText = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'].join('\n');
+  const newText = ['one', 'two', 'three', 'four', 'FIVE', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n');
+
+  assert.equal(unifiedDiff(oldText, newText, { fromLabel: 'old', toLabel: 'new', context: 1 }), [
+    '--- old',
+    '+++ new',
+    '@@ -4,3 +4,3 @@',
+    ' four',
+    '-five',
+    '+FIVE',
+    ' six',
+    '@@ -9,1 +9,2 @@',
+    ' nine',
+    '+ten'
+  ].join('\n'));
+
+  assert.equal(unifiedDiff('', 'a\nb'), ['--- a', '+++ b', '@@ -0,0 +1,2 @@', '+a', '+b'].join('\n'));
+  assert.equal(unifiedDiff('a\nb', ''), ['--- a', '+++ b', '@@ -1,2 +0,0 @@', '-a', '-b'].join('\n'));
+});
+
+test('edit scripts rebuild both sides with the fewest edits', () => {
+  for (let seed = 1; seed <= 200; seed++) {
+    const a = randomLines(seed, seed % 23);
+    const b = randomLines(seed * 7 + 3, (seed * 5) % 19);
+    const ops = diffLines(a, b);
+
+    assert.deepEqual(oldSide(ops), a, `seed ${seed}`);
+    assert.deepEqual(newSide(ops), b, `seed ${seed}`);
+    assert.equal(edits(ops), editDistance(a, b), `seed ${seed}`);
+  }
+});
+
+test('texts too far apart fall back to a full replacement', () => {
+  const a = Array.from({ length: 1500 }, (_, i) => `old ${i}`);
+  const b = Array.from({ length: 1500 }, (_, i) => `new ${i}`);
+  const ops = diffLines(a, b);
+
+  assert.deepEqual(oldSide(ops), a);
+  assert.deepEqual(newSide(ops), b);
+  assert.equal(edits(ops), 3000);
+});
+
+test('texts over the line limit are refused', () => {
+  const huge = new Array(MAX_DIFF_LINES + 1).fill('x');
+  assert.throws(() => diffLines(huge, ['x']), (error) => error.status === 422 && error.code === 'DIFF_TOO_LARGE');
+});
+
+// projects and content_revisions
+const standInDb = (project) => {
+  const projects = new Map([[project.id, { ...project }]]);
+  const revisions = [];
+
+  const query = async (sql, params = []) => {
+    if (/SELECT \* FROM projects WHERE id = \$1/.test(sql)) {
+      return projects.has(params[0]) ? [{ ...projects.get(params[0]) }] : [];
+    }
+    if (/UPDATE projects/.test(sql)) {
+      const [title, description, technologies, repolink, livelink, imageurl, publicId, id] = params;
+      Object.assign(projects.get(id), { title, description, technologies, repolink, livelink, imageurl, cloudinary_public_id: publicId });
+      return [{ ...projects.get(id) }];
+    }
+    if (/SELECT MAX\(revision\)/.test(sql)) {
+      const own = revisions.filter(r => r.entity_type === params[0] && r.entity_id === params[1]);
+      return [{ revision: own.length ? Math.max(...own.map(r => r.revision)) : null }];
+    }
+    if (/INSERT INTO content_revisions/.test(sql)) {
+      const [entityType, entityId, revision, data, authorId, authorEmail, restoredFrom] = params;
+      revisions.push({
+        entity_type: entityType,
+        entity_id: entityId,
+        revision,
+        data: JSON.parse(data),
+        author_id: authorId,
+        author_email: authorEmail,
+        restored_from: restoredFrom,
+        created_at: new Date()
+      });
+      return [];
+    }
+    if (/FROM content_revisions\s+WHERE entity_type = \$1 AND entity_id = \$2 AND revision = \$3/.test(sql)) {
+      return revisions.filter(r => r.entity_type === params[0] && r.entity_id === params[1] && r.revision === params[2]);
+    }
+    return [];
+  };
+
+  return { projects, revisions, query, withTransaction: async (fn) => fn({ inTransaction: true, query }) };
+};
+
+test('restoring a revision brings the content back as a new revision', async () => {
+  const original = {
+    id: 4,
+    title: 'Portfolio',
+    description: 'First line\nSecond line',
+    technologies: 'Node.js,PostgreSQL',
+    repolink: 'https://example.com/repo',
+    livelink: null,
+    imageurl: 'https://example.com/a.png',
+    cloudinary_public_id: 'a',
+    createdat: new Date('2026-01-01T00:00:00Z')
+  };
+  const db = standInDb(original);
+  const req = { user: { id: 1, email: 'editor@example.test' } };
+
+  // An edit made before any revision existed records the old state as revision 1
+  await db.withTransaction(async (tx) => {
+    const current = await REVISION_TYPES.project.findForUpdate(4, tx);
+    const row = await REVISION_TYPES.project.apply(4, {
+      ...REVISION_TYPES.project.snapshot(current),
+      description: 'First line\nEdited line'
+    }, { ...current, imageurl: 'https://example.com/b.png', cloudinary_public_id: 'b' }, tx);
+    await recordRevision(req, { entityType: 'project', entityId: 4, row, previous: current }, tx);
+  });
+
+  const edited = await diffRevisions('project', 4, 1, 2, db);
+  assert.deepEqual(edited.changedFields, ['description']);
+  assert.match(edited.diff, /-Second line\n\+Edited line/);
+
+  const { row, revision } = await restoreRevision(req, 'project', 4, 1, db);
+  assert.equal(revision, 3);
+  assert.equal(row.description, original.description);
+  assert.equal(row.technologies, original.technologies);
+  // Images aren't versioned, so the current one stays
+  assert.equal(row.imageurl, 'https://example.com/b.png');
+
+  const restored = await diffRevisions('project', 4, 1, 3, db);
+  assert.deepEqual(restored.changedFields, []);
+  assert.equal(db.revisions.find(r => r.revision === 3).restored_from, 1);
+  assert.equal(db.revisions.find(r => r.revision === 3).author_email, 'editor@example.test');
+});
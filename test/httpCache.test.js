@@ -0,0 +1,66 @@
+// test/httpCache.test.js - Cached public GETs of the blog router
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createResponseCache } from '../server/responseCache.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import blogRoutes from '../routes/blog.js';
+
+const clock = { now: () => new Date('2026-01-03T00:00:00Z') };
+
+// Counts list queries so cache hits can be told from misses
+const standInDb = () => {
+  const db = { listQueries: 0 };
+  db.query = async (sql) => {
+    if (/COUNT\(\*\)::int AS total/.test(sql)) return [{ total: 1 }];
+    if (/FROM blog_posts/.test(sql) && /LIMIT/.test(sql)) {
+      db.listQueries++;
+      return [{ id: 1, title: 'Hello', likes: 0 }];
+    }
+    if (/UPDATE blog_posts SET likes/.test(sql)) return [{ likes: 1 }];
+    return [];
+  };
+  db.withTransaction = async (fn) => fn({ inTransaction: true, query: db.query });
+  return db;
+};
+
+const allowAll = { take: async () => ({ allowed: true, remaining: 1, resetSeconds: 0, retryAfter: 0 }) };
+
+const withBlog = async (fn) => {
+  const db = standInDb();
+  const app = express();
+  app.use(requestLogger);
+  app.use('/blog', blogRoutes({ db, clock, cache: createResponseCache({ clock }), rateLimitStore: allowAll }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, db);
+  } finally {
+    server.close();
+  }
+};
+
+test('unknown and reordered query parameters share one cache entry', async () => {
+  await withBlog(async (base, db) => {
+    for (const query of ['', '?page=1', '?junk=1', '?limit=10&page=1&junk=2']) {
+      assert.equal((await fetch(`${base}/blog${query}`)).status, 200);
+    }
+    assert.equal(db.listQueries, 1);
+
+    await fetch(`${base}/blog?page=2`);
+    assert.equal(db.listQueries, 2);
+  });
+});
+
+test('likes leave the cached lists in place', async () => {
+  await withBlog(async (base, db) => {
+    await fetch(`${base}/blog`);
+    const like = await fetch(`${base}/blog/1/like`, { method: 'POST' });
+    assert.equal(like.status, 200);
+
+    await fetch(`${base}/blog`);
+    assert.equal(db.listQueries, 1);
+  });
+});
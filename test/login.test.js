@@ -0,0 +1,237 @@
+// test/login.test.js - The login flow through the app, against a stand-in database
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { createApp } from '../app.js';
+import { regenerateRecoveryCodes } from '../server/twoFactor.js';
+import config from '../config/env.js';
+
+const PASSWORD = 'correct horse battery';
+// RFC 6238 secret; at NOW its current code is 081804 (time step 37037036)
+const TOTP_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1111111109 * 1000;
+
+const user = (fields) => ({
+  id: 1,
+  email: 'admin@example.test',
+  password: bcrypt.hashSync(PASSWORD, 4),
+  role: 'admin',
+  permissions: [],
+  disabled_at: null,
+  totp_enabled: false,
+  totp_secret: null,
+  totp_last_counter: null,
+  failed_login_count: 0,
+  last_failed_login_at: null,
+  locked_until: null,
+  ...fields
+});
+
+// users, login_attempts and user_recovery_codes, with CURRENT_TIMESTAMP read from Date.now()
+const standInDb = (rows) => {
+  const users = new Map(rows.map(row => [row.id, row]));
+  const attempts = [];
+  const recoveryCodes = [];
+  const seconds = (ms) => ms / 1000;
+
+  const query = async (sql, params = []) => {
+    const now = Date.now();
+
+    if (/INSERT INTO login_attempts/.test(sql)) {
+      attempts.push({ ip_address: params[1], success: params[3], reason: params[4], created_at: now });
+      return [];
+    }
+    if (/FROM login_attempts\s+WHERE ip_address = \$1 AND success = FALSE/.test(sql)) {
+      const windowMs = params[1] * 60000;
+      const failures = attempts.filter(a => a.ip_address === params[0] && !a.success && a.created_at > now - windowMs);
+      const oldest = Math.min(...failures.map(a => a.created_at));
+      return [{ failures: failures.length, retry_after: failures.length ? Math.ceil(seconds(oldest + windowMs - now)) : null }];
+    }
+    if (/SELECT failed_login_count,/.test(sql)) {
+      const row = users.get(params[0]);
+      return [{
+        failed_login_count: row.failed_login_count,
+        locked_seconds: row.locked_until === null ? null : Math.ceil(seconds(row.locked_until - now)),
+        seconds_since_failure: row.last_failed_login_at === null ? null : Math.floor(seconds(now - row.last_failed_login_at))
+      }];
+    }
+    if (/SET last_failed_login_at = CURRENT_TIMESTAMP/.test(sql)) {
+      const [id, lockoutAfter, lockoutMinutes] = params;
+      const row = users.get(id);
+      const failures = row.failed_login_count + 1;
+      row.last_failed_login_at = now;
+      if (failures >= lockoutAfter) row.locked_until = now + lockoutMinutes * 60000;
+      row.failed_login_count = failures >= lockoutAfter ? 0 : failures;
+      return [];
+    }
+    if (/SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL/.test(sql)) {
+      Object.assign(users.get(params[0]), { failed_login_count: 0, last_failed_login_at: null, locked_until: null });
+      return [{ id: params[0] }];
+    }
+    if (/UPDATE users SET totp_last_counter = \$1/.test(sql)) {
+      const row = users.get(params[1]);
+      if (row.totp_last_counter !== null && row.totp_last_counter >= params[0]) return [];
+      row.totp_last_counter = params[0];
+      return [{ id: row.id }];
+    }
+    if (/INSERT INTO user_recovery_codes/.test(sql)) {
+      recoveryCodes.push({ user_id: params[0], code_hash: params[1], used_at: null });
+      return [];
+    }
+    if (/UPDATE user_recovery_codes/.test(sql)) {
+      const code = recoveryCodes.find(c => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+      if (!code) return [];
+      code.used_at = now;
+      return [{ id: 1 }];
+    }
+    if (/SELECT \* FROM users WHERE email = \$1/.test(sql)) {
+      return [...users.values()].filter(row => row.email === params[0]).map(row => ({ ...row }));
+    }
+    if (/SELECT \* FROM users WHERE id = \$1/.test(sql)) {
+      return users.has(params[0]) ? [{ ...users.get(params[0]) }] : [];
+    }
+    return [];
+  };
+
+  return { users, attempts, query, withTransaction: async (fn) => fn({ inTransaction: true, query }) };
+};
+
+const standIns = (db) => ({
+  db,
+  mailer: { sendMail: async () => {}, verify: async () => {} },
+  storage: { upload: async () => ({}), remove: async () => {}, ping: async () => {} },
+  githubClient: { isConfigured: false }
+});
+
+// Serve the app with Date pinned to NOW; advance it with mock.timers.tick
+const withLogin = async (rows, fn) => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  const db = standInDb(rows);
+  const server = createApp(standIns(db)).listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const post = (path, body, headers = {}) => fetch(`${base}/api/auth${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const get = (path, headers = {}) => fetch(`${base}/api/auth${path}`, { headers });
+
+  try {
+    await fn({ db, post, get });
+  } finally {
+    server.close();
+  }
+};
+
+afterEach(() => mock.timers.reset());
+
+const challengeFor = async (post) => {
+  const response = await post('/login', { email: 'admin@example.test', password: PASSWORD });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.twoFactorRequired, true);
+  assert.equal(body.token, undefined);
+  return body.challengeToken;
+};
+
+test('the second step accepts a current TOTP code once', async () => {
+  await withLogin([user({ totp_enabled: true, totp_secret: TOTP_SECRET })], async ({ db, post }) => {
+    const challengeToken = await challengeFor(post);
+
+    const accepted = await post('/login/2fa', { challengeToken, code: '081804' });
+    assert.equal(accepted.status, 200);
+    assert.ok((await accepted.json()).refreshToken);
+    assert.equal(db.users.get(1).totp_last_counter, 37037036);
+
+    // Still inside its window, but already used
+    const replayed = await post('/login/2fa', { challengeToken, code: '081804' });
+    assert.equal(replayed.status, 401);
+
+    const stale = await post('/login/2fa', { challengeToken, code: '287082' });
+    assert.equal(stale.status, 401);
+  });
+});
+
+test('the second step takes each recovery code once', async () => {
+  await withLogin([user({ totp_enabled: true, totp_secret: TOTP_SECRET })], async ({ db, post }) => {
+    const [recoveryCode] = await regenerateRecoveryCodes(1, db);
+    const challengeToken = await challengeFor(post);
+
+    assert.equal((await post('/login/2fa', { challengeToken, recoveryCode })).status, 200);
+    assert.equal((await post('/login/2fa', { challengeToken, recoveryCode })).status, 401);
+  });
+});
+
+test('a challenge token is no access token, and it expires', async () => {
+  await withLogin([user({ totp_enabled: true, totp_secret: TOTP_SECRET })], async ({ post, get }) => {
+    const challengeToken = await challengeFor(post);
+
+    const misused = await get('/sessions', { Authorization: `Bearer ${challengeToken}` });
+    assert.equal(misused.status, 401);
+
+    mock.timers.tick(5 * 60 * 1000 + 1000);
+    const expired = await post('/login/2fa', { challengeToken, code: '081804' });
+    assert.equal(expired.status, 401);
+    assert.match((await expired.json()).message, /expired/);
+  });
+});
+
+const login = (post, password, headers) => post('/login', { email: 'admin@example.test', password }, headers);
+
+test('failures past the backoff threshold have to wait before the next try', async () => {
+  await withLogin([user()], async ({ post }) => {
+    for (let i = 0; i < config.loginBackoffAfter; i++) {
+      assert.equal((await login(post, 'wrong password')).status, 401);
+    }
+
+    const early = await login(post, PASSWORD);
+    assert.equal(early.status, 429);
+    assert.equal(early.headers.get('retry-after'), '1');
+
+    mock.timers.tick(1000);
+    assert.equal((await login(post, PASSWORD)).status, 200);
+  });
+});
+
+test('the account locks at the lockout threshold and unlocks when it expires', async () => {
+  await withLogin([user()], async ({ db, post }) => {
+    // Waiting out the backoff each time, so only the lockout can stop an attempt
+    for (let i = 0; i < config.loginLockoutAfter; i++) {
+      assert.equal((await login(post, 'wrong password')).status, 401, `attempt ${i + 1}`);
+      mock.timers.tick(61 * 1000);
+    }
+
+    const locked = await login(post, PASSWORD);
+    assert.equal(locked.status, 423);
+    assert.equal((await locked.json()).code, 'ACCOUNT_LOCKED');
+
+    mock.timers.tick(config.loginLockoutMinutes * 60 * 1000 - 61 * 1000);
+    assert.equal((await login(post, PASSWORD)).status, 200);
+    assert.equal(db.users.get(1).failed_login_count, 0);
+    assert.equal(db.users.get(1).locked_until, null);
+  });
+});
+
+test('the per-IP window counts the address the proxy saw, not X-Forwarded-For claims', async () => {
+  await withLogin([user()], async ({ db, post }) => {
+    // Render's proxy appends the address it saw; everything left of it is the client's
+    const from = (spoofed, real) => ({ 'X-Forwarded-For': `${spoofed}, ${real}` });
+
+    for (let i = 0; i < config.loginIpMaxFailures; i++) {
+      const response = await post('/login', { email: `nobody${i}@example.test`, password: 'x' }, from(`10.0.0.${i}`, '198.51.100.7'));
+      assert.equal(response.status, 401);
+    }
+    assert.ok(db.attempts.every(attempt => attempt.ip_address === '198.51.100.7'));
+
+    const blocked = await login(post, PASSWORD, from('10.0.0.250', '198.51.100.7'));
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+
+    assert.equal((await login(post, PASSWORD, from('198.51.100.7', '198.51.100.8'))).status, 200);
+
+    // The window slides past the failures
+    mock.timers.tick(15 * 60 * 1000);
+    assert.equal((await login(post, PASSWORD, from('10.0.0.251', '198.51.100.7'))).status, 200);
+  });
+});
@@ -0,0 +1,66 @@
+// test/markdown.test.js - Rendering and sanitizing blog post HTML
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, sanitizeRenderedHtml, RENDER_VERSION } from '../server/markdown.js';
+import { getRenderedContent } from '../server/repositories/blog.js';
+
+const HOSTILE = [
+  '<p>before</p><script>alert(1)</script>',
+  '<img src="https://example.com/a.png" onerror="alert(1)">',
+  '<a href="javascript:alert(1)" onclick="alert(1)">link</a>',
+  '<a href="JaVaScRiPt:alert(1)">mixed case</a>'
+].join('\n');
+
+const assertHarmless = (html) => {
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /\son\w+=/i);
+  assert.doesNotMatch(html, /javascript:/i);
+};
+
+test('sanitizer drops scripts, event handlers and javascript: links', () => {
+  const html = sanitizeRenderedHtml(HOSTILE);
+  assertHarmless(html);
+  assert.match(html, /<p>before<\/p>/);
+  assert.match(html, /<img src="https:\/\/example\.com\/a\.png" \/>/);
+  assert.match(html, /<a>link<\/a>/);
+});
+
+test('raw HTML in Markdown is sanitized when rendered', () => {
+  const { html } = renderMarkdown(`# Title\n\n${HOSTILE}\n\n[ok](https://example.com)`);
+  assertHarmless(html);
+  assert.match(html, /<a href="https:\/\/example\.com" target="_blank" rel="noopener noreferrer">ok<\/a>/);
+});
+
+test('stored HTML is sanitized before it is served', async () => {
+  const post = {
+    id: 1,
+    content: 'irrelevant',
+    content_html: HOSTILE,
+    content_toc: [],
+    content_render_version: RENDER_VERSION
+  };
+  const db = { query: async () => assert.fail('current HTML should not be re-rendered') };
+
+  const { html } = await getRenderedContent(post, db);
+  assertHarmless(html);
+  assert.match(html, /<p>before<\/p>/);
+});
+
+test('only ids generated by the renderer survive', () => {
+  const { html, toc } = renderMarkdown([
+    '# Hello world',
+    '',
+    'See the note[^1].',
+    '',
+    '<h2 id="location">raw</h2><a name="forms" id="body" href="#top">raw link</a><li id="fn1">raw item</li>',
+    '',
+    '[^1]: The note.'
+  ].join('\n'));
+
+  assert.deepEqual(toc, [{ level: 1, id: 'post-hello-world', text: 'Hello world' }]);
+  assert.match(html, /<h1 id="post-hello-world">/);
+  assert.match(html, /<a href="#fn-post-1" id="fnref-post-1">/);
+  assert.match(html, /<li id="fn-post-1" class="footnote-item">/);
+  assert.match(html, /<h2>raw<\/h2><a href="#top">raw link<\/a><li>raw item<\/li>/);
+  assert.doesNotMatch(html, /\sname=/);
+});
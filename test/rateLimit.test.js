@@ -0,0 +1,208 @@
+// test/rateLimit.test.js - Token bucket refill, RateLimit-* headers and stored keys
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createRateLimitStore } from '../server/rateLimit.js';
+import { createBackgroundQueue } from '../server/background.js';
+import { createMetrics } from '../server/metrics.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// A clock that only moves when told to
+const manualClock = (start = Date.parse('2026-01-01T00:00:00Z')) => {
+  let now = start;
+  return { now: () => new Date(now), advance: (seconds) => { now += seconds * 1000; } };
+};
+
+// rate_limit_buckets, with CURRENT_TIMESTAMP read from the clock
+const standInDb = (clock) => {
+  const buckets = new Map();
+  const prunes = [];
+
+  const refilled = (bucket, limit, rate) => Math.min(limit,
+    bucket.tokens + Math.max((clock.now().getTime() - bucket.updated_at) / 1000, 0) * rate);
+
+  const query = async (sql, params = []) => {
+    if (/DELETE FROM rate_limit_buckets/.test(sql)) {
+      prunes.push(params[0]);
+      return [];
+    }
+    const [policy, key, limit, rate] = params;
+    const id = `${policy} ${key}`;
+    const bucket = buckets.get(id);
+
+    if (/INSERT INTO rate_limit_buckets/.test(sql)) {
+      if (!bucket) {
+        buckets.set(id, { policy, key, tokens: limit - 1, updated_at: clock.now().getTime() });
+        return [{ tokens: limit - 1 }];
+      }
+      const tokens = refilled(bucket, limit, rate);
+      if (tokens < 1) return [];
+      Object.assign(bucket, { tokens: tokens - 1, updated_at: clock.now().getTime() });
+      return [{ tokens: bucket.tokens }];
+    }
+    if (/SELECT[\s\S]*FROM rate_limit_buckets/.test(sql)) {
+      return bucket ? [{ tokens: refilled(bucket, limit, rate) }] : [];
+    }
+    return [];
+  };
+
+  return { buckets, prunes, query };
+};
+
+const POLICY = { name: 'test', limit: 3, windowSeconds: 60 };
+
+const setup = () => {
+  const clock = manualClock();
+  const db = standInDb(clock);
+  const metrics = createMetrics();
+  const background = createBackgroundQueue();
+  const store = createRateLimitStore(db, { metrics, background, clock });
+  return { clock, db, metrics, background, store };
+};
+
+const rejections = (metrics, policy) => {
+  const match = new RegExp(`http_rate_limited_total\\{policy="${policy}"\\} (\\d+)`).exec(metrics.render());
+  return match ? Number(match[1]) : 0;
+};
+
+test('a bucket drains one token per request and refills over its window', async () => {
+  const { clock, metrics, store } = setup();
+
+  for (const remaining of [2, 1, 0]) {
+    const result = await store.take(POLICY, 'ip:203.0.113.7');
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, remaining);
+    assert.equal(result.retryAfter, 0);
+  }
+
+  // One token comes back every 20 seconds
+  const refused = await store.take(POLICY, 'ip:203.0.113.7');
+  assert.deepEqual(refused, { allowed: false, remaining: 0, resetSeconds: 60, retryAfter: 20 });
+  assert.equal(rejections(metrics, 'test'), 1);
+
+  clock.advance(15);
+  const early = await store.take(POLICY, 'ip:203.0.113.7');
+  assert.equal(early.allowed, false);
+  assert.equal(early.retryAfter, 5);
+  assert.equal(early.resetSeconds, 45);
+
+  clock.advance(5);
+  assert.equal((await store.take(POLICY, 'ip:203.0.113.7')).allowed, true);
+  assert.equal((await store.take(POLICY, 'ip:203.0.113.7')).allowed, false);
+
+  // Refilling stops at the limit, however long the bucket sat
+  clock.advance(3600);
+  assert.equal((await store.take(POLICY, 'ip:203.0.113.7')).remaining, 2);
+
+  // Other keys have buckets of their own
+  assert.equal((await store.take(POLICY, 'ip:198.51.100.1')).remaining, 2);
+  assert.equal(rejections(metrics, 'test'), 3);
+});
+
+test('keys too long for the column are stored as their hash', async () => {
+  const { db, store } = setup();
+  const long = `ip:${'a'.repeat(300)}`;
+  const otherLong = `ip:${'b'.repeat(300)}`;
+
+  await store.take(POLICY, 'ip:203.0.113.7');
+  await store.take(POLICY, long);
+  await store.take(POLICY, long);
+  await store.take(POLICY, otherLong);
+
+  const keys = [...db.buckets.values()].map(bucket => bucket.key);
+  assert.equal(keys.length, 3);
+  assert.equal(keys[0], 'ip:203.0.113.7');
+  assert.match(keys[1], /^sha256:[0-9a-f]{64}$/);
+  assert.match(keys[2], /^sha256:[0-9a-f]{64}$/);
+  assert.notEqual(keys[1], keys[2]);
+  assert.ok(keys.every(key => key.length <= 255));
+
+  // The same long key keeps using its bucket
+  assert.equal(db.buckets.get(`test ${keys[1]}`).tokens, 1);
+
+  // Right at the limit is still stored as it is
+  const exact = 'k'.repeat(255);
+  await store.take(POLICY, exact);
+  assert.ok(db.buckets.has(`test ${exact}`));
+});
+
+test('full buckets are pruned at most once an hour per policy', async () => {
+  const { clock, db, background, store } = setup();
+
+  await store.take(POLICY, 'a');
+  await store.take(POLICY, 'b');
+  await store.take({ ...POLICY, name: 'other' }, 'a');
+  await background.drain(1000);
+  assert.deepEqual(db.prunes, ['test', 'other']);
+
+  clock.advance(59 * 60);
+  await store.take(POLICY, 'a');
+  await background.drain(1000);
+  assert.equal(db.prunes.length, 2);
+
+  clock.advance(60);
+  await store.take(POLICY, 'a');
+  await background.drain(1000);
+  assert.deepEqual(db.prunes, ['test', 'other', 'test']);
+});
+
+// Serve one limited route backed by the given store
+const withLimit = async (store, policy, fn) => {
+  const app = express();
+  app.use(requestLogger);
+  app.get('/limited', rateLimit(store, policy), (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const request = () => fetch(`http://127.0.0.1:${server.address().port}/limited`);
+
+  try {
+    await fn({ request });
+  } finally {
+    server.close();
+  }
+};
+
+test('responses carry RateLimit-* headers and refusals a Retry-After', async () => {
+  const { clock, store } = setup();
+  const policy = { name: 'test', limit: 2, windowSeconds: 10 };
+
+  await withLimit(store, policy, async ({ request }) => {
+    const first = await request();
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=10');
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-reset'), '5');
+    assert.equal(first.headers.get('retry-after'), null);
+
+    assert.equal((await request()).headers.get('ratelimit-remaining'), '0');
+
+    const refused = await request();
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers.get('retry-after'), '5');
+    assert.equal(refused.headers.get('ratelimit-remaining'), '0');
+    assert.equal(refused.headers.get('ratelimit-reset'), '10');
+    const body = await refused.json();
+    assert.equal(body.code, 'RATE_LIMITED');
+
+    clock.advance(5);
+    assert.equal((await request()).status, 200);
+  });
+});
+
+test('store outages let requests through, input errors do not', async () => {
+  const failing = (code) => ({ take: async () => { throw Object.assign(new Error('store failed'), { code }); } });
+
+  await withLimit(failing('ECONNREFUSED'), POLICY, async ({ request }) => {
+    const response = await request();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ratelimit-limit'), null);
+  });
+
+  await withLimit(failing('22001'), POLICY, async ({ request }) => {
+    assert.equal((await request()).status, 500);
+  });
+});
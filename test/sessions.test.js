@@ -0,0 +1,130 @@
+// test/sessions.test.js - Refresh token rotation, reuse detection and revocation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createSession } from '../server/sessions.js';
+import { createBackgroundQueue } from '../server/background.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import authRoutes from '../routes/auth.js';
+
+const USER = { id: 1, email: 'editor@example.test', role: 'editor', permissions: [], disabled_at: null };
+
+// Just enough of users and user_sessions for server/sessions.js and authentication
+const standInDb = () => {
+  const sessions = new Map();
+  const isActive = (session) => !session.revoked_at && session.expires_at > new Date();
+
+  const query = async (sql, params = []) => {
+    if (/INSERT INTO user_sessions/.test(sql)) {
+      const [id, userId, hash, , , days] = params;
+      sessions.set(id, {
+        id,
+        user_id: userId,
+        refresh_token_hash: hash,
+        revoked_at: null,
+        expires_at: new Date(Date.now() + days * 86400000)
+      });
+      return [];
+    }
+    if (/FROM user_sessions s\s+JOIN users u/.test(sql)) {
+      const session = sessions.get(params[0]);
+      return session ? [{ ...session, email: USER.email, role: USER.role }] : [];
+    }
+    if (/SET refresh_token_hash = \$1/.test(sql)) {
+      const session = sessions.get(params[1]);
+      if (!session || session.revoked_at || session.refresh_token_hash !== params[2]) return [];
+      session.refresh_token_hash = params[0];
+      return [{ id: session.id }];
+    }
+    if (/SET revoked_at = CURRENT_TIMESTAMP WHERE id = \$1/.test(sql)) {
+      const session = sessions.get(params[0]);
+      if (!session || session.revoked_at || (params.length > 1 && session.user_id !== params[1])) return [];
+      session.revoked_at = new Date();
+      return [{ id: session.id }];
+    }
+    if (/SELECT \* FROM user_sessions/.test(sql)) {
+      const session = sessions.get(params[0]);
+      return session && isActive(session) ? [{ ...session }] : [];
+    }
+    if (/FROM users WHERE id = \$1/.test(sql)) return params[0] === USER.id ? [{ ...USER }] : [];
+    return [];
+  };
+
+  return { sessions, query, withTransaction: async (fn) => fn({ inTransaction: true, query }) };
+};
+
+const withAuth = async (fn) => {
+  const db = standInDb();
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/auth', authRoutes({ db, mailer: { sendMail: async () => {} }, background: createBackgroundQueue() }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (method, path, { body, token } = {}) => fetch(`${base}/auth${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body)
+  });
+  const refresh = (refreshToken) => call('POST', '/refresh', { body: { refreshToken } });
+
+  try {
+    const login = await createSession(USER, { headers: { 'user-agent': 'node-test' }, ip: '203.0.113.7' }, db);
+    await fn({ db, call, refresh, login });
+  } finally {
+    server.close();
+  }
+};
+
+test('a refresh token is exchanged for a new pair and then stops working', async () => {
+  await withAuth(async ({ refresh, login, call }) => {
+    const first = await refresh(login.refreshToken);
+    assert.equal(first.status, 200);
+    const rotated = await first.json();
+    assert.equal(rotated.sessionId, login.sessionId);
+    assert.notEqual(rotated.refreshToken, login.refreshToken);
+
+    const second = await refresh(rotated.refreshToken);
+    assert.equal(second.status, 200);
+
+    const sessions = await call('GET', '/sessions', { token: rotated.token });
+    assert.equal(sessions.status, 200);
+  });
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  await withAuth(async ({ db, refresh, login, call }) => {
+    const rotated = await (await refresh(login.refreshToken)).json();
+
+    assert.equal((await refresh(login.refreshToken)).status, 401);
+    assert.ok(db.sessions.get(login.sessionId).revoked_at);
+
+    // The copy and the legitimate holder are both logged out
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await call('GET', '/sessions', { token: rotated.token })).status, 401);
+  });
+});
+
+test('a revoked session can neither refresh nor authenticate', async () => {
+  await withAuth(async ({ refresh, login, call }) => {
+    const revoked = await call('DELETE', `/sessions/${login.sessionId}`, { token: login.token });
+    assert.equal(revoked.status, 200);
+
+    assert.equal((await refresh(login.refreshToken)).status, 401);
+    assert.equal((await call('GET', '/sessions', { token: login.token })).status, 401);
+    assert.equal((await call('DELETE', `/sessions/${login.sessionId}`, { token: login.token })).status, 401);
+  });
+});
+
+test('malformed and forged refresh tokens are refused', async () => {
+  await withAuth(async ({ db, refresh, login }) => {
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal((await refresh(`${login.sessionId}.forged`)).status, 401);
+
+    // A wrong secret for a live session counts as reuse
+    assert.ok(db.sessions.get(login.sessionId).revoked_at);
+  });
+});
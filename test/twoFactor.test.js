@@ -0,0 +1,96 @@
+// test/twoFactor.test.js - TOTP time window and replay, single-use recovery codes
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyTotp, regenerateRecoveryCodes, consumeRecoveryCode } from '../server/twoFactor.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", 6-digit codes
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = (seconds) => mock.timers.enable({ apis: ['Date'], now: seconds * 1000 });
+
+afterEach(() => mock.timers.reset());
+
+test('codes match the RFC 6238 test vectors', () => {
+  at(59);
+  assert.equal(verifyTotp(SECRET, '287082'), 1);
+  mock.timers.reset();
+
+  at(1111111109);
+  assert.equal(verifyTotp(SECRET, '081804'), 37037036);
+  assert.equal(verifyTotp(SECRET, '081 804'), 37037036);
+});
+
+test('a code is accepted one step either side of its own and no further', () => {
+  const step = 37037036;
+  const windows = [
+    [(step - 1) * 30 - 1, null],
+    [(step - 1) * 30, step],
+    [(step + 1) * 30 + 29, step],
+    [(step + 2) * 30, null]
+  ];
+  for (const [seconds, expected] of windows) {
+    at(seconds);
+    assert.equal(verifyTotp(SECRET, '081804'), expected, `at ${seconds}s`);
+    mock.timers.reset();
+  }
+});
+
+test('a code at or before the last accepted step is a replay', () => {
+  at(59);
+  assert.equal(verifyTotp(SECRET, '287082', 0), 1);
+  assert.equal(verifyTotp(SECRET, '287082', 1), null);
+  assert.equal(verifyTotp(SECRET, '287082', 2), null);
+});
+
+test('malformed codes and missing secrets are rejected', () => {
+  at(59);
+  for (const code of ['', '28708', '2870821', 'abcdef', null, undefined]) {
+    assert.equal(verifyTotp(SECRET, code), null, `code ${code}`);
+  }
+  assert.equal(verifyTotp(null, '287082'), null);
+});
+
+// user_recovery_codes, keyed by user_id and code_hash
+const standInDb = () => {
+  const codes = [];
+  const query = async (sql, params) => {
+    if (/DELETE FROM user_recovery_codes/.test(sql)) {
+      codes.splice(0, codes.length, ...codes.filter(code => code.user_id !== params[0]));
+    } else if (/INSERT INTO user_recovery_codes/.test(sql)) {
+      codes.push({ id: codes.length + 1, user_id: params[0], code_hash: params[1], used_at: null });
+    } else if (/UPDATE user_recovery_codes/.test(sql)) {
+      const code = codes.find(c => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+      if (!code) return [];
+      code.used_at = new Date();
+      return [{ id: code.id }];
+    }
+    return [];
+  };
+  return { codes, query };
+};
+
+test('recovery codes work once, for their own user only', async () => {
+  const db = standInDb();
+  const [first, second] = await regenerateRecoveryCodes(1, db);
+  await regenerateRecoveryCodes(2, db);
+
+  assert.match(first, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.equal(db.codes.some(code => code.code_hash.includes(first)), false);
+
+  assert.equal(await consumeRecoveryCode(2, first, db), false);
+  assert.equal(await consumeRecoveryCode(1, first, db), true);
+  assert.equal(await consumeRecoveryCode(1, first, db), false);
+
+  // Typed without the dash or in capitals still counts
+  assert.equal(await consumeRecoveryCode(1, second.replace('-', '').toUpperCase(), db), true);
+  assert.equal(await consumeRecoveryCode(1, '   ', db), false);
+});
+
+test('regenerating recovery codes invalidates the old set', async () => {
+  const db = standInDb();
+  const [old] = await regenerateRecoveryCodes(1, db);
+  const fresh = await regenerateRecoveryCodes(1, db);
+
+  assert.equal(fresh.length, 10);
+  assert.equal(await consumeRecoveryCode(1, old, db), false);
+  assert.equal(await consumeRecoveryCode(1, fresh[0], db), true);
+});
@@ -0,0 +1,117 @@
+// test/users.test.js - Who may change whose access, and the last-admin guard
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { signAccessToken } from '../server/sessions.js';
+import requestLogger from '../middleware/requestLogger.js';
+import errorHandler from '../middleware/errorHandler.js';
+import usersRoutes from '../routes/users.js';
+
+// Just enough of the users table for authentication and routes/users.js
+const standInDb = (rows) => {
+  const users = new Map(rows.map(user => [user.id, { disabled_at: null, permissions: [], ...user }]));
+  const isActiveAdmin = (user) => user.role === 'admin' && !user.disabled_at;
+
+  const query = async (sql, params = []) => {
+    if (/FROM user_sessions/.test(sql)) return [{ id: params[0], user_id: Number(params[0].split(':')[1]) }];
+    if (/COUNT\(\*\)::int AS count/.test(sql)) {
+      return [{ count: [...users.values()].filter(user => user.id !== params[0] && isActiveAdmin(user)).length }];
+    }
+    if (/SELECT id FROM users\s+WHERE disabled_at IS NULL/.test(sql)) {
+      return [...users.values()].filter(isActiveAdmin).map(({ id }) => ({ id }));
+    }
+    if (/FROM users WHERE id = \$1/.test(sql)) {
+      const user = users.get(Number(params[0]));
+      return user ? [{ ...user }] : [];
+    }
+    if (/UPDATE users SET role = \$1, permissions = \$2/.test(sql)) {
+      const user = users.get(params[2]);
+      Object.assign(user, { role: params[0], permissions: JSON.parse(params[1]) });
+      return [{ ...user }];
+    }
+    return [];
+  };
+
+  return { users, query, withTransaction: async (fn) => fn({ inTransaction: true, query }) };
+};
+
+const withUsers = async (rows, fn) => {
+  const db = standInDb(rows);
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/users', usersRoutes({ db, mailer: { sendMail: async () => {} } }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Acts as the given user through a session the stand-in always finds
+  const as = (userId) => async (method, path, body) => fetch(`${base}/users${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${signAccessToken(db.users.get(userId), `session:${userId}`)}`
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  try {
+    await fn(as, db);
+  } finally {
+    server.close();
+  }
+};
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'admin' };
+const MANAGER = { id: 2, email: 'manager@example.test', role: 'editor', permissions: ['users:manage'] };
+const EDITOR = { id: 3, email: 'editor@example.test', role: 'editor' };
+
+test('users:manage holders who are not admins cannot reach admin powers', async () => {
+  await withUsers([ADMIN, MANAGER, EDITOR], async (as, db) => {
+    const manager = as(MANAGER.id);
+
+    assert.equal((await manager('PUT', '/2', { role: 'admin' })).status, 403);
+    assert.equal((await manager('PUT', '/2', { permissions: ['users:manage', 'backups:manage'] })).status, 403);
+    assert.equal((await manager('PUT', '/3', { role: 'admin' })).status, 403);
+    assert.equal((await manager('PUT', '/3', { permissions: ['cors:manage'] })).status, 403);
+    assert.equal((await manager('PUT', '/1', { role: 'viewer' })).status, 403);
+    assert.equal((await manager('POST', '/1/disable')).status, 403);
+    assert.equal((await manager('DELETE', '/1')).status, 403);
+    assert.equal((await manager('POST', '/', { email: 'new@example.test', role: 'admin' })).status, 403);
+
+    // Ordinary access changes to other non-admins still work
+    const demoted = await manager('PUT', '/3/access', { role: 'viewer', permissions: ['analytics:read'] });
+    assert.equal(demoted.status, 200);
+    assert.equal((await demoted.json()).role, 'viewer');
+
+    assert.equal(db.users.get(MANAGER.id).role, 'editor');
+    assert.deepEqual(db.users.get(MANAGER.id).permissions, ['users:manage']);
+  });
+});
+
+test('admins can assign the admin role and admin-only permissions', async () => {
+  await withUsers([ADMIN, EDITOR], async (as) => {
+    const admin = as(ADMIN.id);
+
+    const granted = await admin('PUT', '/3', { permissions: ['users:manage', 'backups:manage'] });
+    assert.equal(granted.status, 200);
+    assert.ok((await granted.json()).effectivePermissions.includes('backups:manage'));
+
+    assert.equal((await admin('PUT', '/3', { role: 'admin' })).status, 200);
+  });
+});
+
+test('the last active admin cannot be demoted', async () => {
+  await withUsers([ADMIN, EDITOR], async (as, db) => {
+    const admin = as(ADMIN.id);
+
+    const refused = await admin('PUT', '/1', { role: 'editor' });
+    assert.equal(refused.status, 409);
+    assert.equal(db.users.get(ADMIN.id).role, 'admin');
+
+    assert.equal((await admin('PUT', '/3', { role: 'admin' })).status, 200);
+    assert.equal((await admin('PUT', '/1', { role: 'editor' })).status, 200);
+    assert.equal(db.users.get(ADMIN.id).role, 'editor');
+  });
+});